@@ -4,6 +4,10 @@ var matter = new Matter('tessellate', {logLevel: 'trace', envName: 'prod'});
 document.addEventListener("DOMContentLoaded", function(event) {
   setStatus();
 });
+//Update status when auth state changes
+matter.onAuthStateChanged(function(event) {
+  setStatus();
+});
 //Set status styles
 function setStatus() {
   var statusEl = document.getElementById("status");
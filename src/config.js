@@ -22,20 +22,53 @@ const defaultConfig = {
   tokenName: 'tessellate',
   tokenDataName: 'tessellate-tokenData',
   tokenUserDataName: 'tessellate-currentUser',
-  oauthioKey: 'sxwuB9Gci8-4pBH7xjD0V_jooNU',
-  oauthioCDN: 'https://s3.amazonaws.com/kyper-cdn/js/libs/oauthio-web/v0.5.0/oauth.min.js'
+  accountsName: 'tessellate-accounts',
+  syncChannelName: 'tessellate-sync',
+  syncTabs: true,
+  lastActivityName: 'tessellate-lastActivity',
+  authProviderName: 'tessellate-authProvider',
+  redirectStateName: 'tessellate-redirectState',
+  providerLogoutUrls: {
+    google: 'https://accounts.google.com/Logout',
+    github: 'https://github.com/logout',
+    facebook: 'https://www.facebook.com/logout.php'
+  },
+  idleTimeout: null,
+  idleWarning: 1,
+  onIdleWarning: null,
+  tokenRefreshLeeway: 60,
+  remember: true,
+  rememberDays: 7,
+  emailVerificationParam: 'verify',
+  passwordResetParam: 'reset',
+  loginLinkParam: 'loginToken',
+  credentials: null,
+  signupRules: {
+    username: { required: true },
+    email: { required: true },
+    password: { required: true }
+  },
+  groupsName: 'tessellate-groups',
+  groupsCacheTime: 300,
+  groupPermissions: {},
+  availabilityDebounce: 300,
+  availabilityCacheTime: 60,
+  oauthProviders: {},
+  oauthRedirectUri: null
 }
 
-let instance = null
-let envName = 'prod'
-let level = null
-class Config {
-  constructor () {
-    if (!instance) {
-      merge(this, defaultConfig)
-      instance = this
-    }
-    return instance
+// Storage/cookie names that are namespaced by project for each Matter instance
+const namespacedNames = ['tokenName', 'tokenDataName', 'tokenUserDataName', 'accountsName', 'syncChannelName', 'lastActivityName', 'authProviderName', 'redirectStateName', 'groupsName']
+
+export class Config {
+  /** Constructor
+   * @param {Object} settings - Settings to apply over default config
+   */
+  constructor (settings) {
+    this.envName = 'prod'
+    this.level = null
+    merge(this, defaultConfig)
+    this.applySettings(settings)
   }
 
   get serverUrl () {
@@ -51,24 +84,16 @@ class Config {
   }
 
   set logLevel (setLevel) {
-    level = setLevel
+    this.level = setLevel
   }
 
   get logLevel () {
-    if (level) {
-      return level
+    if (this.level) {
+      return this.level
     }
     return defaultConfig.envs[this.envName].logLevel
   }
 
-  set envName (newEnv) {
-    envName = newEnv
-  }
-
-  get envName () {
-    return envName
-  }
-
   get env () {
     if (defaultConfig.envs[this.envName]) {
       return defaultConfig.envs[this.envName]
@@ -81,8 +106,18 @@ class Config {
     }
   }
 
+  /** Namespace token and storage names (so that multiple projects can be used on one page)
+   * @param {String} namespace - Namespace to append to names
+   */
+  applyNamespace (namespace) {
+    if (!namespace) return
+    namespacedNames.forEach(key => {
+      this[key] = `${this[key]}-${namespace}`
+    })
+  }
 }
 
+// Shared config (used by logger and utils when no instance config is provided)
 let config = new Config()
 
 export default config
@@ -0,0 +1,112 @@
+/** Base error for all Matter rejections
+ * @param {String} message - Description of error
+ * @param {Object} options - Error options
+ * @param {String} options.code - Stable code callers can branch on (also available as status when error did not come from a response)
+ * @param {Number} options.httpStatus - Status of server response (if error came from a response)
+ * @param {*} options.cause - Original error
+ * @example
+ * matter.login(loginData).catch(function(error){
+ *  if (error instanceof Matter.AuthError) { ... }
+ *  if (error.code === 'VALIDATION_FAILED') { ... }
+ * })
+ */
+export function MatterError (message, options) {
+  const { code, httpStatus, cause } = options || {}
+  this.name = 'MatterError'
+  this.message = message
+  this.code = code || 'MATTER_ERROR'
+  // Kept for callers of older versions that branched on status (response status for request errors, code otherwise)
+  this.status = httpStatus || this.code
+  this.httpStatus = httpStatus || null
+  this.cause = cause || null
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, this.constructor)
+  } else {
+    this.stack = (new Error(message)).stack
+  }
+}
+
+// Built in Error can not be extended using class syntax when compiled by Babel 6
+MatterError.prototype = Object.create(Error.prototype, {
+  constructor: { value: MatterError, writable: true, configurable: true }
+})
+
+/** Invalid or missing data (rejected before any request is sent)
+ * @param {String} message - Description of error
+ * @param {Object} options - Error options (see MatterError) and errors (list of error codes by field)
+ */
+export class ValidationError extends MatterError {
+  constructor (message, options) {
+    super(message, options)
+    this.name = 'ValidationError'
+    this.errors = (options && options.errors) || {}
+  }
+}
+
+/** Missing, invalid, or unauthorized session
+ */
+export class AuthError extends MatterError {
+  constructor (message, options) {
+    super(message, options)
+    this.name = 'AuthError'
+  }
+}
+
+/** Request could not reach server (offline, timeout, CORS)
+ */
+export class NetworkError extends MatterError {
+  constructor (message, options) {
+    super(message, options)
+    this.name = 'NetworkError'
+  }
+}
+
+/** Server responded with an error (body of response is available as body)
+ */
+export class ServerError extends MatterError {
+  constructor (message, options) {
+    super(message, options)
+    this.name = 'ServerError'
+    this.body = (options && options.body) || null
+  }
+}
+
+/** Error authenticating with external provider (Google/Github Etc)
+ */
+export class ProviderError extends MatterError {
+  constructor (message, options) {
+    super(message, options)
+    this.name = 'ProviderError'
+  }
+}
+
+// Codes of server errors by response status
+const httpCodes = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'TOO_MANY_REQUESTS'
+}
+
+/**
+ * @description Create error from failed request
+ * @param {Object} errorRes - Error from superagent
+ * @return {MatterError} AuthError (401/403), ServerError (other statuses), or NetworkError (no response)
+ */
+export function fromResponse (errorRes) {
+  const httpStatus = errorRes && errorRes.status
+  if (!httpStatus) {
+    return new NetworkError('Server could not be reached.', {
+      code: 'NETWORK_ERROR', cause: errorRes
+    })
+  }
+  const body = (errorRes.response && errorRes.response.body) || null
+  const message = (body && body.message) || errorRes.message || 'Error in request.'
+  const code = httpCodes[httpStatus] || (httpStatus >= 500 ? 'SERVER_ERROR' : 'REQUEST_FAILED')
+  if (httpStatus === 401 || httpStatus === 403) {
+    return new AuthError(message, { code, httpStatus, cause: errorRes })
+  }
+  return new ServerError(message, { code, httpStatus, cause: errorRes, body })
+}
@@ -1,14 +1,27 @@
-import config from './config'
+import config, { Config } from './config'
+import { MatterError, ValidationError, AuthError, NetworkError, ServerError, ProviderError } from './errors'
 import logger from './utils/logger'
 import * as dom from './utils/dom'
 import * as request from './utils/request'
 import * as ProviderAuth from './utils/providerAuth'
-import token from './utils/token'
+import sharedToken, { createToken, decodeToken } from './utils/token'
 import * as envStorage from './utils/envStorage'
+import Emitter from './utils/emitter'
+import { createChannel } from './utils/tabSync'
+import { createIdleMonitor } from './utils/idleMonitor'
+import { createAvailabilityChecker } from './utils/availability'
+import { createProjects } from './utils/projects'
+import * as webAuthn from './utils/webAuthn'
+import * as validation from './utils/validation'
+import * as permissions from './utils/permissions'
+import * as groupExpression from './utils/groupExpression'
 import {
   isString, isArray,
   isObject, has,
-  some, every
+  some, every,
+  find, reject,
+  pick, forEach,
+  isEmpty, assign
 } from 'lodash'
 
 export default class Matter {
@@ -29,9 +42,62 @@ export default class Matter {
     } else {
       this.name = project
     }
+    // Config and token are owned by each instance so that multiple projects can be used on one page
+    this.config = new Config()
+    this.config.applyNamespace(this.owner ? `${this.owner}-${this.name}` : this.name)
     if (opts) {
       this.options = opts
-      config.applySettings(opts)
+      this.config.applySettings(opts)
+      // Logger is shared by all instances
+      if (opts.logLevel) {
+        config.logLevel = opts.logLevel
+      }
+    }
+    this.token = createToken(this.config)
+    // Request new token from server when token refresh is needed
+    this.token.refresher = () => requestTokenRefresh(this, this.token)
+    this.events = new Emitter()
+    this.mfaChallenge = null
+    this.token.on('expire', () => {
+      const previousUser = this.currentUser
+      this.currentUser = null
+      emitAuthChange(this, 'tokenExpire', previousUser)
+    })
+    this.token.on('remove', () => {
+      // Logout and other Matter methods clear current user before removing token (token is already gone so stored user is read directly)
+      const previousUser = this.storage.getItem(this.config.tokenUserDataName)
+      if (!previousUser) return
+      this.currentUser = null
+      emitAuthChange(this, 'tokenRemove', previousUser)
+    })
+    // Signed in account keeps latest token so that switching back to it does not use an outdated token
+    this.token.on('refresh', () => {
+      if (this.currentUser) saveAccount(this)
+    })
+    if (!this.isLoggedIn) {
+      migrateLegacySession(this)
+    }
+    if (this.isLoggedIn) {
+      this.token.scheduleRefresh()
+      this.token.watchExpiration()
+    } else {
+      clearExpiredSession(this)
+    }
+    // Share auth state changes with other tabs
+    this.channel = this.config.syncTabs ? createChannel(this.config.syncChannelName) : null
+    if (this.channel) {
+      this.channel.on(message => handleSyncMessage(this, message))
+    }
+    this.idleMonitor = null
+    this.availabilityChecker = null
+    // Projects of owner (or current user when Matter has no owner)
+    this.projects = createProjects({
+      url: () => projectsUrl(this),
+      token: this.token,
+      isLoggedIn: () => this.isLoggedIn
+    })
+    if (this.config.idleTimeout) {
+      this.startIdleMonitor()
     }
     logger.debug({
       description: 'Matter object built.', matter: this,
@@ -53,6 +119,30 @@ export default class Matter {
     return isString(this.token.string)
   }
 
+  /** Whether current session is an anonymous guest session (created by loginAnonymously)
+   * @return {Boolean}
+   * @example
+   * if (matter.isAnonymous) {
+   *   console.log('Signup to keep your work')
+   * }
+   */
+  get isAnonymous () {
+    if (!this.isLoggedIn) return false
+    const tokenData = this.token.data
+    const user = this.currentUser
+    return !!((tokenData && tokenData.anonymous) || (user && user.anonymous))
+  }
+
+  /** Permissions granted to current user by token (permissions and scope claims along with groups mapped using groupPermissions option, using groups loaded by getGroups when available)
+   * @return {Array} List of permissions (empty if not logged in)
+   * @example
+   * console.log('Current user can:', matter.permissions)
+   */
+  get permissions () {
+    if (!this.isLoggedIn) return []
+    return permissions.getPermissions(this.token.data, this.config.groupPermissions, currentGroups(this))
+  }
+
   /** Endpoint generation that handles default/provided settings and environment
    * @return {String} endpoint - endpoint for tessellate application
    */
@@ -67,9 +157,9 @@ export default class Matter {
     }
     // Handle tessellate as name
     if (this.name !== 'tessellate') {
-      return this.owner ? `${config.serverUrl}/users/${this.owner}/projects/${this.name}` : `${config.serverUrl}/projects/${this.name}`
+      return this.owner ? `${this.config.serverUrl}/users/${this.owner}/projects/${this.name}` : `${this.config.serverUrl}/projects/${this.name}`
     }
-    return config.serverUrl
+    return this.config.serverUrl
   }
 
   /** Save current user (handled automatically by default)
@@ -84,7 +174,7 @@ export default class Matter {
       description: 'Current User set.', user: userData,
       func: 'currentUser', obj: 'Matter'
     })
-    envStorage.setItem(config.tokenUserDataName, userData)
+    envStorage.setItem(this.config.tokenUserDataName, userData)
   }
 
   /** Get currently logged in user or returns null
@@ -100,8 +190,10 @@ export default class Matter {
    * console.log('New current user set:', matter.currentUser)
    */
   get currentUser () {
-    if (this.storage.getItem(config.tokenUserDataName)) {
-      return this.storage.getItem(config.tokenUserDataName)
+    // User data is only valid while token remains (remembered user data outlives expired cookie)
+    if (!this.isLoggedIn) return null
+    if (this.storage.getItem(this.config.tokenUserDataName)) {
+      return this.storage.getItem(this.config.tokenUserDataName)
     }
     return null
   }
@@ -113,18 +205,127 @@ export default class Matter {
     return envStorage
   }
 
-  /** Utility to handle token writing/deleting/decoding
-   * @return {Object}
+  /** Provider used to log in (null if logged in without a provider)
+   * @return {String|null}
    */
-  get token () {
-    return token
+  get authProvider () {
+    return this.storage.getItem(this.config.authProviderName) || null
   }
 
-  /** Utils placed in base library
+  /** Utils placed in base library (request sends token of this Matter instance)
    * @return {Object}
    */
   get utils () {
-    return { logger, request, storage: envStorage, dom }
+    return { logger, request: bindRequest(this), storage: envStorage, dom, validation }
+  }
+
+  /** Listen for auth state events
+   * @param {String} eventName - Name of event (signup, login, anonymousLogin, providerAuth, logout, userUpdate, accountSwitch, tokenExpire, tokenRemove, or authStateChange for all)
+   * @param {Function} listener - Function called with event containing type, previousUser, and user
+   * @return {Function} Function that removes listener when called
+   * @example
+   * //Listen for login
+   * matter.on('login', function(event){
+   *  console.log('User logged in:', event.user)
+   * })
+   */
+  on (eventName, listener) {
+    return this.events.on(eventName, listener)
+  }
+
+  /** Remove auth state event listener
+   * @param {String} eventName - Name of event
+   * @param {Function} listener - Listener to remove (all listeners of event are removed if not provided)
+   * @example
+   * //Stop listening for login
+   * matter.off('login', loginListener)
+   */
+  off (eventName, listener) {
+    this.events.off(eventName, listener)
+  }
+
+  /** Listen for all auth state changes
+   * @param {Function} listener - Function called with event containing type, previousUser, and user
+   * @return {Function} Function that removes listener when called
+   * @example
+   * //Redraw when auth state changes
+   * var unsubscribe = matter.onAuthStateChanged(function(event){
+   *  console.log('Auth state changed from ' + event.type + '. Current user:', event.user)
+   * })
+   */
+  onAuthStateChanged (listener) {
+    return this.on('authStateChange', listener)
+  }
+
+  /** Start monitoring user activity to log out after a period of inactivity (activity in any tab keeps session alive)
+   * @param {Object} options - Idle options (idleTimeout, idleWarning, and onIdleWarning options are used by default)
+   * @param {Number} options.timeout - Minutes of inactivity after which to log out
+   * @param {Number} options.warning - Minutes before timeout at which to call onWarning
+   * @param {Function} options.onWarning - Called with milliseconds remaining before logout
+   * @example
+   * //Log out after 15 minutes of inactivity
+   * matter.startIdleMonitor({ timeout: 15, warning: 1, onWarning: function(remaining){
+   *  console.warn('Logging out in ' + Math.round(remaining / 1000) + ' seconds.')
+   * }})
+   */
+  startIdleMonitor (options) {
+    const timeout = (options && options.timeout) || this.config.idleTimeout
+    if (!timeout) {
+      logger.error({
+        description: 'Timeout is required to monitor idle time.',
+        func: 'startIdleMonitor', obj: 'Matter'
+      })
+      throw new Error('Timeout is required to monitor idle time.')
+    }
+    const warning = (options && has(options, 'warning')) ? options.warning : this.config.idleWarning
+    this.stopIdleMonitor()
+    this.idleMonitor = createIdleMonitor({
+      timeout: timeout * 60 * 1000,
+      warning: warning * 60 * 1000,
+      storageKey: this.config.lastActivityName,
+      onWarning: (options && options.onWarning) || this.config.onIdleWarning,
+      onTimeout: () => {
+        if (!this.isLoggedIn) return
+        logger.info({
+          description: 'Logging out due to inactivity.',
+          func: 'startIdleMonitor', obj: 'Matter'
+        })
+        this.logout()['catch'](() => {})
+      }
+    })
+    this.idleMonitor.start()
+  }
+
+  /** Stop monitoring user activity
+   * @example
+   * matter.stopIdleMonitor()
+   */
+  stopIdleMonitor () {
+    if (this.idleMonitor) {
+      this.idleMonitor.stop()
+      this.idleMonitor = null
+    }
+  }
+
+  /** Refresh token before it expires (called automatically ahead of token expiration)
+   * @return {Promise}
+   * @example
+   * //Refresh current token
+   * matter.refreshToken().then(function(tokenStr){
+   *  console.log('Token refreshed successfully')
+   * }, function(err){
+   *  console.error('Error refreshing token:', err)
+   * })
+   */
+  refreshToken () {
+    if (!this.isLoggedIn) {
+      logger.warn({
+        description: 'No logged in account to refresh token for.',
+        func: 'refreshToken', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged in to refresh token.', { code: 'NULL_ACCOUNT' }))
+    }
+    return this.token.refresh()
   }
 
   /** Signup a new user
@@ -132,7 +333,9 @@ export default class Matter {
    * @param {String} signupData.username - Username of new user (error will be returned if username is taken)
    * @param {String} signupData.email - Email of new user (error will be returned if email is already used)
    * @param {String} signupData.password - Password to be used with account (will be encrypted).
-   * @return {Promise}
+   * @param {Object} options - Signup options
+   * @param {Boolean|Number} options.remember - Keep user logged in after browser is closed (number of days or true for rememberDays option). Defaults to remember option.
+   * @return {Promise} Resolves with new user (guest session from loginAnonymously is converted to the new account)
    * @example
    * //Signup a new user
    * var signupData = {username: 'testuser1', email:'test@email.com', password: 'testpassword'}
@@ -142,7 +345,7 @@ export default class Matter {
    *  console.error('Error signing up:', err)
    * })
    */
-  signup (signupData) {
+  signup (signupData, options) {
     logger.debug({
       description: 'Signup called.', signupData,
       func: 'signup', obj: 'Matter'
@@ -152,51 +355,150 @@ export default class Matter {
         description: 'Signup information is required to signup.',
         func: 'signup', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'Signup data is required to signup.',
-        status: 'NULL_DATA'
-      })
+      return Promise.reject(new ValidationError('Signup data is required to signup.', { code: 'NULL_DATA' }))
     }
     if (isString(signupData)) {
-      return this.authUsingProvider(signupData)
+      return this.authUsingProvider(signupData, options)
     }
-    // Handle no username or email
-    if (!signupData.username || !signupData.email) {
+    const result = this.validateSignup(signupData)
+    if (!result.valid) {
       logger.error({
-        description: 'Email and Username required to signup.',
+        description: 'Signup data is invalid.', errors: result.errors,
         func: 'signup', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'Email and Username required to signup.',
-        status: 'EMPTY_DATA'
-      })
+      return Promise.reject(new ValidationError('Signup data is invalid.', { code: 'VALIDATION_FAILED', errors: result.errors }))
     }
-    if (!signupData.password) {
-      logger.error({
-        description: 'Password is required to signup.',
+    // Guest sessions are converted so that data created as guest is kept
+    const signupRequest = this.isAnonymous
+      ? request.put(`${this.endpoint}/user/upgrade`, signupData, this.token)
+      : request.post(`${this.endpoint}/signup`, signupData, this.token)
+    return signupRequest.then(response => {
+      // Cached availability is out of date once account is created
+      if (this.availabilityChecker) this.availabilityChecker.clear()
+      saveAuth(this, 'signup', response, options)
+      logger.info({
+        description: 'Signup successful.', user: this.currentUser,
         func: 'signup', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'Password is required to signup.',
-        status: 'PASS_REQUIRED'
+      return this.currentUser
+    })['catch'](error => {
+      logger.error({
+        description: 'Error requesting signup.', error,
+        signupData, func: 'signup', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** validateSignup
+   * @description Validate signup data using signupRules option (called by signup before any request is sent)
+   * @param {Object} signupData - Signup data to validate
+   * @return {Object} Result containing valid, errors (list of error codes by field), and passwordStrength (0 to 4)
+   * @example
+   * // With signupRules option of { email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ } }
+   * var result = matter.validateSignup({ username: 'test', email: 'test', password: 'abc' })
+   * // { valid: false, errors: { email: ['INVALID_FORMAT'] }, passwordStrength: 0 }
+   */
+  validateSignup (signupData) {
+    return validation.validate(signupData, this.config.signupRules)
+  }
+
+  /** validateLogin
+   * @description Validate login data (called by login before any request is sent)
+   * @param {Object} loginData - Login data to validate
+   * @return {Object} Result containing valid and errors (list of error codes by field)
+   */
+  validateLogin (loginData) {
+    const emailRule = this.config.signupRules && this.config.signupRules.email
+    const result = validation.validate(loginData, {
+      email: { pattern: emailRule && emailRule.pattern },
+      password: { required: true }
+    })
+    // Either username or email identifies account
+    if (!loginData || (!loginData.username && !loginData.email)) {
+      result.errors.username = ['REQUIRED']
+      result.valid = false
+    }
+    return result
+  }
+
+  /** checkAvailability
+   * @description Check if username and/or email are available for signup (for showing availability while user types). Lookups are debounced (availabilityDebounce option) and results are cached (availabilityCacheTime option). Values that do not match signupRules are reported as unavailable without a lookup.
+   * @param {Object} values - Values to check
+   * @param {String} values.username - Username to check
+   * @param {String} values.email - Email to check
+   * @return {Promise} Resolves with availability (available, suggestions, and errors) of each field that was checked
+   * @example
+   * matter.checkAvailability({ username: 'test' }).then(function(result){
+   *  // { username: { available: false, suggestions: ['test1', 'test_2'] } }
+   *  if (!result.username.available) console.log('Try:', result.username.suggestions)
+   * })
+   */
+  checkAvailability (values) {
+    const fields = pick(values, ['username', 'email'])
+    if (every(fields, value => !value)) {
+      logger.warn({
+        description: 'Username or email is required to check availability.',
+        func: 'checkAvailability', obj: 'Matter'
       })
+      return Promise.reject(new ValidationError('Username or email is required to check availability.', { code: 'DATA_REQUIRED' }))
     }
-    return request.post(`${this.endpoint}/signup`, signupData).then(response => {
-      if (response.token) {
-        this.token.string = response.token
-      }
-      if (response.user) {
-        this.currentUser = response.user
+    const invalid = {}
+    const lookupValues = {}
+    forEach(fields, (value, field) => {
+      if (!value) return
+      const rules = this.config.signupRules || {}
+      const errors = validation.validateField(value, rules[field], fields)
+      if (errors.length) {
+        invalid[field] = { available: false, suggestions: [], errors }
+      } else {
+        lookupValues[field] = value
       }
+    })
+    if (isEmpty(lookupValues)) {
+      return Promise.resolve(invalid)
+    }
+    if (!this.availabilityChecker) {
+      this.availabilityChecker = createAvailabilityChecker({
+        lookup: query => request.get(`${this.endpoint}/availability`, query, this.token),
+        debounce: this.config.availabilityDebounce,
+        cacheTime: this.config.availabilityCacheTime * 1000
+      })
+    }
+    return this.availabilityChecker.check(lookupValues).then(result => assign({}, result, invalid))
+  }
+
+  /** loginAnonymously
+   * @description Start guest session without an account. Guest is converted to a full account (keeping data created as guest) by signup or authUsingProvider.
+   * @param {Object} options - Login options (same as login)
+   * @return {Promise} Resolves with current (guest) user
+   * @example
+   * matter.loginAnonymously().then(function(){
+   *  console.log('Guest session started:', matter.isAnonymous)
+   * })
+   */
+  loginAnonymously (options) {
+    if (this.isAnonymous) {
+      return Promise.resolve(this.currentUser)
+    }
+    if (this.isLoggedIn) {
+      logger.warn({
+        description: 'Already logged in to an account.',
+        func: 'loginAnonymously', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged out to start guest session.', { code: 'ALREADY_LOGGED_IN' }))
+    }
+    return request.post(`${this.endpoint}/login/anonymous`, {}, this.token).then(response => {
+      saveAuth(this, 'anonymousLogin', response, options)
       logger.info({
-        description: 'Signup successful.', user: this.currentUser,
-        func: 'signup', obj: 'Matter'
+        description: 'Guest session started.', user: this.currentUser,
+        func: 'loginAnonymously', obj: 'Matter'
       })
       return this.currentUser
     })['catch'](error => {
       logger.error({
-        description: 'Error requesting signup.', error,
-        signupData, func: 'signup', obj: 'Matter'
+        description: 'Error starting guest session.',
+        error, func: 'loginAnonymously', obj: 'Matter'
       })
       return Promise.reject(error)
     })
@@ -207,84 +509,451 @@ export default class Matter {
    * @param {String} loginData.username - Username of user to login as
    * @param {String} loginData.email - Email of new user (Optional instead of username)
    * @param {String} loginData.password - Password to be used with account (will be encrypted).
-   * @return {Promise}
+   * @param {Object} options - Login options
+   * @param {Boolean|Number} options.remember - Keep user logged in after browser is closed (number of days or true for rememberDays option). Defaults to remember option.
+   * @return {Promise} Resolves with current user or with pending MFA challenge ({ mfaRequired: true }) when a second factor is required
    * @example
    * //Login as 'testuser1'
    * var loginData = {username: 'testuser1', password: 'testpassword'}
    * matter.login(loginData).then(function(loginRes){
+   *  if (loginRes && loginRes.mfaRequired) {
+   *    return matter.verifyMfa(prompt('Enter code from authenticator app'))
+   *  }
    *  console.log('New user logged in succesfully. Account: ', loginRes.user)
    * }, function(err){
    *  console.error('Error logging in:', err)
    * })
    */
-  login (loginData) {
+  login (loginData, options) {
     if (!loginData || (!isObject(loginData) && !isString(loginData))) {
       logger.error({
         description: 'Username/Email and Password are required to login',
         func: 'login', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'Login data is required to login.',
-        status: 'DATA_REQUIRED'
-      })
+      return Promise.reject(new ValidationError('Login data is required to login.', { code: 'DATA_REQUIRED' }))
     }
     // Provider login
     if (isString(loginData)) {
-      return this.authUsingProvider(loginData)
+      return this.authUsingProvider(loginData, options)
     }
-    // No username or email
-    if (!loginData.username && !loginData.email) {
+    const result = this.validateLogin(loginData)
+    if (!result.valid) {
       logger.error({
-        description: 'Email or Username required to login.',
+        description: 'Login data is invalid.', errors: result.errors,
         func: 'login', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'Email or Username required to login.',
-        status: 'ID_REQUIRED'
-      })
-    }
-    // Handle null or invalid password
-    if (!loginData.password || loginData.password === '') {
-      return Promise.reject({
-        message: 'Password is required to login.',
-        status: 'PASS_REQUIRED'
-      })
+      return Promise.reject(new ValidationError('Login data is invalid.', { code: 'VALIDATION_FAILED', errors: result.errors }))
     }
     // Username/Email Login
-    return request.put(`${this.endpoint}/login`, loginData)
+    return request.put(`${this.endpoint}/login`, loginData, this.token)
     .then(response => {
       if (response.data && response.data.status && response.data.status === 409) {
         logger.error({
           description: 'User not found.', response,
           func: 'login', obj: 'Matter'
         })
-        return Promise.reject(response.data)
-      }
-      if (response.token) {
-        this.token.string = response.token
+        return Promise.reject(new AuthError('User not found.', { code: 'ACCOUNT_NOT_FOUND', httpStatus: 409, cause: response.data }))
       }
-      if (response.user) {
-        this.currentUser = response.user
+      return finishLogin(this, response, options)
+    })['catch'](error => {
+      logger.error({
+        description: 'Error requesting login.',
+        error, func: 'login', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** sendLoginLink
+   * @description Send email containing a link that logs user in without a password (finish using completeLinkLogin on page link opens)
+   * @param {String} email - Email of account
+   * @return {Promise}
+   * @example
+   * matter.sendLoginLink('test@test.com').then(function(){
+   *  console.log('Check your email for a login link')
+   * }, function(err){
+   *  console.error('Error sending login link:', err)
+   * })
+   */
+  sendLoginLink (email) {
+    if (!isString(email) || email === '') {
+      return Promise.reject(new ValidationError('Email is required to send login link.', { code: 'EMAIL_REQUIRED' }))
+    }
+    return request.post(`${this.endpoint}/login/link`, { email }, this.token).then(response => {
+      logger.info({
+        description: 'Login link sent.',
+        response, func: 'sendLoginLink', obj: 'Matter'
+      })
+      return response
+    })['catch'](error => {
+      logger.error({
+        description: 'Error sending login link.',
+        error, func: 'sendLoginLink', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** completeLinkLogin
+   * @description Login using token within current url (loginLinkParam option) then remove token from address bar
+   * @param {Object} options - Login options (same as login)
+   * @return {Promise} Resolves with current user (null if url does not contain a login token)
+   * @example
+   * //Handle landing from login link
+   * matter.completeLinkLogin().then(function(user){
+   *  if (user) console.log('Logged in as:', user)
+   * })
+   */
+  completeLinkLogin (options) {
+    if (!dom.isBrowser()) {
+      return Promise.resolve(null)
+    }
+    const linkToken = dom.getQueryParam(this.config.loginLinkParam)
+    if (!linkToken) {
+      return Promise.resolve(null)
+    }
+    return request.put(`${this.endpoint}/login/link`, { token: linkToken }, this.token).then(response => {
+      // Link tokens can only be used once
+      dom.removeQueryParam(this.config.loginLinkParam)
+      return finishLogin(this, response, options)
+    })['catch'](error => {
+      logger.error({
+        description: 'Error logging in with link.',
+        error, func: 'completeLinkLogin', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** sendLoginCode
+   * @description Send email containing a one-time code that logs user in without a password (finish using verifyLoginCode)
+   * @param {String} email - Email of account
+   * @return {Promise}
+   * @example
+   * matter.sendLoginCode('test@test.com').then(function(){
+   *  return matter.verifyLoginCode('test@test.com', prompt('Enter code from email'))
+   * })
+   */
+  sendLoginCode (email) {
+    if (!isString(email) || email === '') {
+      return Promise.reject(new ValidationError('Email is required to send login code.', { code: 'EMAIL_REQUIRED' }))
+    }
+    return request.post(`${this.endpoint}/login/code`, { email }, this.token).then(response => {
+      logger.info({
+        description: 'Login code sent.',
+        response, func: 'sendLoginCode', obj: 'Matter'
+      })
+      return response
+    })['catch'](error => {
+      logger.error({
+        description: 'Error sending login code.',
+        error, func: 'sendLoginCode', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** verifyLoginCode
+   * @description Login using one-time code sent by sendLoginCode
+   * @param {String} email - Email code was sent to
+   * @param {String} code - Code from email
+   * @param {Object} options - Login options (same as login)
+   * @return {Promise} Resolves with current user
+   */
+  verifyLoginCode (email, code, options) {
+    if (!isString(email) || email === '') {
+      return Promise.reject(new ValidationError('Email is required to verify login code.', { code: 'EMAIL_REQUIRED' }))
+    }
+    if (!code) {
+      return Promise.reject(new ValidationError('Code is required to login.', { code: 'CODE_REQUIRED' }))
+    }
+    return request.put(`${this.endpoint}/login/code`, { email, code }, this.token).then(response => {
+      return finishLogin(this, response, options)
+    })['catch'](error => {
+      logger.error({
+        description: 'Error verifying login code.',
+        error, func: 'verifyLoginCode', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** registerPasskey
+   * @description Create passkey for currently logged in account (used with loginWithPasskey)
+   * @param {Object} passkeyData - Passkey data
+   * @param {String} passkeyData.name - Name used to identify passkey (Optional)
+   * @return {Promise}
+   * @example
+   * matter.registerPasskey({ name: 'Laptop' }).then(function(){
+   *  console.log('Passkey registered')
+   * }, function(err){
+   *  console.error('Error registering passkey:', err)
+   * })
+   */
+  registerPasskey (passkeyData) {
+    if (!this.isLoggedIn) {
+      logger.error({
+        description: 'Must be logged in to register passkey.',
+        func: 'registerPasskey', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged in to register passkey.', { code: 'NULL_ACCOUNT' }))
+    }
+    return request.post(`${this.endpoint}/user/passkeys/options`, {}, this.token)
+    .then(creationOptions => webAuthn.createCredential(creationOptions, this.config.credentials || undefined))
+    .then(credential => {
+      const name = passkeyData && passkeyData.name
+      return request.put(`${this.endpoint}/user/passkeys`, name ? { name, credential } : { credential }, this.token)
+    })
+    .then(response => {
+      logger.info({
+        description: 'Passkey registered.',
+        response, func: 'registerPasskey', obj: 'Matter'
+      })
+      return response
+    })['catch'](error => {
+      logger.error({
+        description: 'Error registering passkey.',
+        error, func: 'registerPasskey', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** loginWithPasskey
+   * @description Login using passkey created by registerPasskey
+   * @param {Object} loginData - Login data (Optional, browser lists available passkeys when not provided)
+   * @param {String} loginData.username - Username of account
+   * @param {Object} options - Login options (same as login)
+   * @return {Promise} Resolves with current user
+   * @example
+   * matter.loginWithPasskey().then(function(user){
+   *  console.log('Logged in as:', user)
+   * }, function(err){
+   *  console.error('Error logging in:', err)
+   * })
+   */
+  loginWithPasskey (loginData, options) {
+    return request.post(`${this.endpoint}/login/passkey/options`, loginData || {}, this.token)
+    .then(requestOptions => webAuthn.getCredential(requestOptions, this.config.credentials || undefined))
+    .then(credential => request.put(`${this.endpoint}/login/passkey`, { credential }, this.token))
+    .then(response => finishLogin(this, response, options))['catch'](error => {
+      logger.error({
+        description: 'Error logging in with passkey.',
+        error, func: 'loginWithPasskey', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** verifyMfa
+   * @description Verify TOTP code to finish a pending MFA login challenge or to confirm MFA enrollment
+   * @param {String} code - Code from authenticator app
+   * @return {Promise}
+   * @example
+   * //Finish login that requires a second factor
+   * matter.verifyMfa('123456').then(function(user){
+   *  console.log('Logged in successfully. Account: ', user)
+   * }, function(err){
+   *  console.error('Error verifying code:', err)
+   * })
+   */
+  verifyMfa (code) {
+    if (!code) {
+      logger.error({
+        description: 'Code is required to verify MFA.',
+        func: 'verifyMfa', obj: 'Matter'
+      })
+      return Promise.reject(new ValidationError('Code is required to verify MFA.', { code: 'CODE_REQUIRED' }))
+    }
+    // Confirm enrollment of logged in user
+    if (!this.mfaChallenge) {
+      if (!this.isLoggedIn) {
+        logger.error({
+          description: 'No pending MFA challenge or logged in user.',
+          func: 'verifyMfa', obj: 'Matter'
+        })
+        return Promise.reject(new AuthError('Login or MFA enrollment must be started before verifying MFA.', { code: 'NULL_CHALLENGE' }))
       }
+      const previousUser = this.currentUser
+      return request.put(`${this.endpoint}/user/mfa`, { code }, this.token).then(response => {
+        logger.info({
+          description: 'MFA enrollment confirmed.',
+          response, func: 'verifyMfa', obj: 'Matter'
+        })
+        if (response && response.user) {
+          this.currentUser = response.user
+          emitAuthChange(this, 'userUpdate', previousUser)
+        }
+        return response
+      })['catch'](error => {
+        logger.error({
+          description: 'Error confirming MFA enrollment.',
+          error, func: 'verifyMfa', obj: 'Matter'
+        })
+        return Promise.reject(error)
+      })
+    }
+    const { mfaToken, options } = this.mfaChallenge
+    return request.put(`${this.endpoint}/login/mfa`, { code, mfaToken }, this.token).then(response => {
+      this.mfaChallenge = null
+      saveAuth(this, 'login', response, options)
       logger.info({
-        description: 'Successful login.', user: this.currentUser,
-        func: 'login', obj: 'Matter'
+        description: 'Successful MFA login.', user: this.currentUser,
+        func: 'verifyMfa', obj: 'Matter'
       })
       return this.currentUser
     })['catch'](error => {
       logger.error({
-        description: 'Error requesting login.',
-        error, func: 'login', obj: 'Matter'
+        description: 'Error verifying MFA code.',
+        error, func: 'verifyMfa', obj: 'Matter'
       })
-      if (error.status === 409 || error.status === 400) {
-        error = error.response.text
+      return Promise.reject(error)
+    })
+  }
+
+  /** enrollMfa
+   * @description Start TOTP MFA enrollment for current user. Enrollment is confirmed by calling verifyMfa with a code from the authenticator app.
+   * @return {Promise} Resolves with enrollment data (secret and otpauth uri to display as QR code)
+   * @example
+   * //Start MFA enrollment
+   * matter.enrollMfa().then(function(enrollment){
+   *  console.log('Add to authenticator app:', enrollment.uri)
+   * }, function(err){
+   *  console.error('Error enrolling in MFA:', err)
+   * })
+   */
+  enrollMfa () {
+    if (!this.isLoggedIn) {
+      logger.error({
+        description: 'Must be logged in to enroll in MFA.',
+        func: 'enrollMfa', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged in to enroll in MFA.', { code: 'NULL_ACCOUNT' }))
+    }
+    return request.post(`${this.endpoint}/user/mfa`, { method: 'totp' }, this.token).then(response => {
+      logger.info({
+        description: 'MFA enrollment started.',
+        func: 'enrollMfa', obj: 'Matter'
+      })
+      return response
+    })['catch'](error => {
+      logger.error({
+        description: 'Error starting MFA enrollment.',
+        error, func: 'enrollMfa', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** disableMfa
+   * @description Disable MFA for current user
+   * @param {String} code - Current code from authenticator app
+   * @return {Promise}
+   * @example
+   * //Disable MFA
+   * matter.disableMfa('123456').then(function(){
+   *  console.log('MFA disabled')
+   * }, function(err){
+   *  console.error('Error disabling MFA:', err)
+   * })
+   */
+  disableMfa (code) {
+    if (!this.isLoggedIn) {
+      logger.error({
+        description: 'Must be logged in to disable MFA.',
+        func: 'disableMfa', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged in to disable MFA.', { code: 'NULL_ACCOUNT' }))
+    }
+    const previousUser = this.currentUser
+    return request.del(`${this.endpoint}/user/mfa`, { code }, this.token).then(response => {
+      logger.info({
+        description: 'MFA disabled.',
+        response, func: 'disableMfa', obj: 'Matter'
+      })
+      if (response && response.user) {
+        this.currentUser = response.user
+        emitAuthChange(this, 'userUpdate', previousUser)
       }
+      return response
+    })['catch'](error => {
+      logger.error({
+        description: 'Error disabling MFA.',
+        error, func: 'disableMfa', obj: 'Matter'
+      })
       return Promise.reject(error)
     })
   }
 
+  /** listAccounts
+   * @description List accounts that are signed in (active account is marked with active: true)
+   * @return {Array}
+   * @example
+   * //List signed in accounts
+   * matter.listAccounts().forEach(function(account){
+   *  console.log(account.id, account.active ? '(active)' : '')
+   * })
+   */
+  listAccounts () {
+    const activeId = accountId(this.currentUser, this.token.data)
+    return getAccounts(this).map(account => {
+      return { id: account.id, user: account.user, active: account.id === activeId }
+    })
+  }
+
+  /** switchAccount
+   * @description Switch active account to another signed in account
+   * @param {String} id - Id of account to switch to (from listAccounts)
+   * @return {Promise}
+   * @example
+   * //Switch to admin account
+   * matter.switchAccount('admin').then(function(user){
+   *  console.log('Switched to account:', user)
+   * }, function(err){
+   *  console.error('Error switching account:', err)
+   * })
+   */
+  switchAccount (id) {
+    const account = find(getAccounts(this), { id })
+    if (!account) {
+      logger.error({
+        description: 'Account is not signed in.', id,
+        func: 'switchAccount', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Account must be signed in to switch to it.', { code: 'ACCOUNT_NOT_FOUND' }))
+    }
+    // Tokens of inactive accounts are not refreshed on a timer so an expired token is refreshed before switching to it
+    const tokenData = decodeToken(account.token)
+    const isExpired = !tokenData || (tokenData.exp && tokenData.exp * 1000 <= Date.now())
+    const accountToken = isExpired ? refreshAccountToken(this, account) : Promise.resolve(account.token)
+    return accountToken.then(tokenStr => {
+      // Save latest token of active account before switching
+      if (this.isLoggedIn) {
+        saveAccount(this)
+      }
+      const previousUser = this.currentUser
+      this.token.save(tokenStr, account.remember)
+      this.storage.setItem(this.config.tokenUserDataName, account.user, { persist: account.remember !== false })
+      // Provider belongs to account so that its cached credentials are cleared when that account logs out
+      if (account.provider) {
+        this.storage.setItem(this.config.authProviderName, account.provider, { persist: account.remember !== false })
+      } else {
+        this.storage.removeItem(this.config.authProviderName)
+      }
+      logger.info({
+        description: 'Switched account.', id,
+        func: 'switchAccount', obj: 'Matter'
+      })
+      emitAuthChange(this, 'accountSwitch', previousUser)
+      return this.currentUser
+    })
+  }
+
   /** logout
    * @description Log out of currently logged in user account
+   * @param {Object} options - Logout options
+   * @param {Boolean} options.all - Log out of all signed in accounts
+   * @param {Boolean} options.providerLogout - Redirect to logout page of provider used to log in (if any)
    * @return {Promise}
    * @example
    * //Logout of currently logged in account
@@ -294,39 +963,67 @@ export default class Matter {
    *  console.error('Error logging out:', err)
    * })
    */
-  logout () {
-    // TODO: Handle logging out of providers
+  logout (options) {
+    const activeId = accountId(this.currentUser, this.token.data)
+    const otherAccounts = (options && options.all) ? reject(getAccounts(this), { id: activeId }) : []
+    // Log out of other signed in accounts using their tokens
+    const otherLogouts = Promise.all(otherAccounts.map(account => {
+      if (account.provider) {
+        ProviderAuth.clearProviderCache(account.provider, this.config)
+      }
+      return request.put(`${this.endpoint}/logout`, null, { string: account.token })['catch'](error => {
+        logger.warn({
+          description: 'Error logging out of account.', id: account.id,
+          error, func: 'logout', obj: 'Matter'
+        })
+      })
+    })).then(() => {
+      if (otherAccounts.length) {
+        saveAccounts(this, [])
+      }
+    })
+    if (!this.isLoggedIn && otherAccounts.length) {
+      return otherLogouts
+    }
     if (!this.isLoggedIn) {
       logger.warn({
         description: 'No logged in account to log out.',
         func: 'logout', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'No logged in account to log out.',
-        status: 'NULL_ACCOUNT'
-      })
+      return Promise.reject(new AuthError('No logged in account to log out.', { code: 'NULL_ACCOUNT' }))
     }
-    return request.put(`${this.endpoint}/logout`).then(response => {
+    const previousUser = this.currentUser
+    return request.put(`${this.endpoint}/logout`, null, this.token).then(response => {
       logger.info({
         description: 'Logout successful.',
         response, func: 'logout', obj: 'Matter'
       })
       this.currentUser = null
       this.token.delete()
-      return response
+      const provider = clearAuthProvider(this)
+      emitAuthChange(this, 'logout', previousUser)
+      redirectToProviderLogout(this, provider, options)
+      return otherLogouts.then(() => response)
     })['catch'](error => {
       logger.error({
         description: 'Error requesting log out: ',
         error, func: 'logout', obj: 'Matter'
       })
-      this.storage.removeItem(config.tokenUserDataName)
+      this.storage.removeItem(this.config.tokenUserDataName)
       this.token.delete()
+      const provider = clearAuthProvider(this)
+      emitAuthChange(this, 'logout', previousUser)
+      redirectToProviderLogout(this, provider, options)
       return Promise.reject(error)
     })
   }
 
   /** Authenticate using external provider
    * @param {String} provider - Provider name
+   * @param {Object} options - Auth options
+   * @param {Boolean|Number} options.remember - Keep user logged in after browser is closed (number of days or true for rememberDays option). Defaults to remember option.
+   * @param {String} options.mode - 'popup' (default) or 'redirect' (leaves page, call handleRedirectResult once page is loaded again)
+   * @param {String} options.returnTo - Url to return to after redirect (current page by default)
    * @return {Promise}
    * @example
    * //Signup using google
@@ -336,30 +1033,195 @@ export default class Matter {
    *  console.error('Error logging in:', err)
    * })
    */
-  authUsingProvider (provider) {
+  authUsingProvider (provider, options) {
     if (!provider) {
       logger.info({
         description: 'Provider required to sign up.',
         func: 'authUsingProvider', obj: 'Matter'
       })
-      return Promise.reject({message: 'Provider data is required to signup.'})
+      return Promise.reject(new ValidationError('Provider data is required to signup.', { code: 'PROVIDER_REQUIRED' }))
+    }
+    if (options && options.mode === 'redirect') {
+      return ProviderAuth.createAuthRequest(provider, this.config, this.token, options.returnTo).then(authRequest => {
+        // State is kept for handleRedirectResult (page is left during redirect)
+        const { stateToken, codeVerifier, redirectUri } = authRequest
+        const redirectState = { provider, stateToken, codeVerifier, redirectUri }
+        if (has(options, 'remember')) {
+          redirectState.remember = options.remember
+        }
+        this.storage.setItem(this.config.redirectStateName, redirectState, { persist: false })
+        ProviderAuth.redirectToProvider(authRequest.url)
+      })['catch'](error => {
+        logger.error({
+          description: 'Error redirecting to provider.', error,
+          func: 'authUsingProvider', obj: 'Matter'
+        })
+        this.storage.removeItem(this.config.redirectStateName)
+        return Promise.reject(error)
+      })
     }
-    return ProviderAuth.authWithServer(provider).then(response => {
+    const providerRequest = this.isAnonymous
+      ? ProviderAuth.authorizeProvider(provider, this.config, this.token).then(authData => exchangeProviderCode(this, authData))
+      : ProviderAuth.authWithServer(provider, this.config, this.token)
+    return providerRequest.then(response => {
       logger.info({
         description: 'Provider login successful.',
         response, func: 'authUsingProvider', obj: 'Matter'
       })
-      if (response && response.token) {
-        this.token.string = response.token
-      }
-      if (response && response.user || response.data) {
-        this.currentUser = response.data || response.user
-      }
-      return this.currentUser
+      const { token, user, data } = response || {}
+      return saveAuth(this, 'providerAuth', { token, user: data || user, provider }, options)
     }, error => {
       logger.error({
-        description: 'Provider signup error.', error,
-        func: 'authUsingProvider', obj: 'Matter'
+        description: 'Provider signup error.', error,
+        func: 'authUsingProvider', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** handleRedirectResult
+   * @description Finish authenticating with provider after returning from redirect (authUsingProvider with mode 'redirect')
+   * @return {Promise} Resolves with current user (null if page was not loaded from a provider redirect)
+   * @example
+   * //On page load
+   * matter.handleRedirectResult().then(function(user){
+   *  if (user) console.log('Logged in through redirect:', user)
+   * }, function(err){
+   *  console.error('Error logging in:', err)
+   * })
+   */
+  handleRedirectResult () {
+    const redirectState = this.storage.getItem(this.config.redirectStateName)
+    if (!redirectState || !ProviderAuth.hasRedirectResult()) {
+      return Promise.resolve(null)
+    }
+    const { provider, stateToken, codeVerifier, redirectUri } = redirectState
+    this.storage.removeItem(this.config.redirectStateName)
+    return ProviderAuth.getRedirectResult(stateToken)
+    .then(code => {
+      return exchangeProviderCode(this, { provider, code, stateToken, codeVerifier, redirectUri })
+    })
+    .then(response => {
+      logger.info({
+        description: 'Provider redirect login successful.',
+        response, func: 'handleRedirectResult', obj: 'Matter'
+      })
+      const { token, user, data } = response || {}
+      const options = has(redirectState, 'remember') ? { remember: redirectState.remember } : null
+      return saveAuth(this, 'providerAuth', { token, user: data || user, provider }, options)
+    })['catch'](error => {
+      logger.error({
+        description: 'Error finishing provider redirect.', error,
+        func: 'handleRedirectResult', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** linkProvider
+   * @description Link external provider to currently logged in account (uses same popup as authUsingProvider)
+   * @param {String} provider - Provider to link (Google/Github Etc)
+   * @return {Promise} Resolves with linked providers
+   * @example
+   * //Link Github to current account
+   * matter.linkProvider('github').then(function(providers){
+   *  console.log('Linked providers:', providers)
+   * }, function(err){
+   *  console.error('Error linking provider:', err)
+   * })
+   */
+  linkProvider (provider) {
+    if (!this.isLoggedIn) {
+      logger.error({
+        description: 'Must be logged in to link provider.',
+        func: 'linkProvider', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged in to link provider.', { code: 'NULL_ACCOUNT' }))
+    }
+    if (!isString(provider) || provider === '') {
+      return Promise.reject(new ValidationError('Provider is required to link provider.', { code: 'PROVIDER_REQUIRED' }))
+    }
+    return ProviderAuth.authorizeProvider(provider, this.config, this.token)
+    .then(authData => request.put(`${this.endpoint}/user/providers`, authData, this.token))
+    .then(response => {
+      logger.info({
+        description: 'Provider linked.', provider,
+        response, func: 'linkProvider', obj: 'Matter'
+      })
+      return handleProvidersResponse(this, response)
+    })['catch'](error => {
+      logger.error({
+        description: 'Error linking provider.', provider,
+        error, func: 'linkProvider', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** unlinkProvider
+   * @description Remove external provider from currently logged in account
+   * @param {String} provider - Provider to unlink (Google/Github Etc)
+   * @return {Promise} Resolves with linked providers
+   * @example
+   * //Unlink Github from current account
+   * matter.unlinkProvider('github').then(function(providers){
+   *  console.log('Linked providers:', providers)
+   * })
+   */
+  unlinkProvider (provider) {
+    if (!this.isLoggedIn) {
+      logger.error({
+        description: 'Must be logged in to unlink provider.',
+        func: 'unlinkProvider', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged in to unlink provider.', { code: 'NULL_ACCOUNT' }))
+    }
+    if (!isString(provider) || provider === '') {
+      return Promise.reject(new ValidationError('Provider is required to unlink provider.', { code: 'PROVIDER_REQUIRED' }))
+    }
+    return request.del(`${this.endpoint}/user/providers/${provider}`, null, this.token)
+    .then(response => {
+      logger.info({
+        description: 'Provider unlinked.', provider,
+        response, func: 'unlinkProvider', obj: 'Matter'
+      })
+      return handleProvidersResponse(this, response)
+    })['catch'](error => {
+      logger.error({
+        description: 'Error unlinking provider.', provider,
+        error, func: 'unlinkProvider', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** getLinkedProviders
+   * @description Get external providers linked to currently logged in account
+   * @return {Promise} Resolves with list of linked providers
+   * @example
+   * matter.getLinkedProviders().then(function(providers){
+   *  console.log('Linked providers:', providers)
+   * })
+   */
+  getLinkedProviders () {
+    if (!this.isLoggedIn) {
+      logger.error({
+        description: 'Must be logged in to get linked providers.',
+        func: 'getLinkedProviders', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged in to get linked providers.', { code: 'NULL_ACCOUNT' }))
+    }
+    return request.get(`${this.endpoint}/user/providers`, null, this.token)
+    .then(response => {
+      logger.debug({
+        description: 'Linked providers loaded.',
+        response, func: 'getLinkedProviders', obj: 'Matter'
+      })
+      return handleProvidersResponse(this, response)
+    })['catch'](error => {
+      logger.error({
+        description: 'Error getting linked providers.',
+        error, func: 'getLinkedProviders', obj: 'Matter'
       })
       return Promise.reject(error)
     })
@@ -390,21 +1252,23 @@ export default class Matter {
       })
       return Promise.resolve(null)
     }
-    return request.get(`${this.endpoint}/user`).then(response => {
+    return request.get(`${this.endpoint}/user`, null, this.token).then(response => {
       // TODO: Save user information locally
       logger.log({
         description: 'Current User Request responded.',
         response, func: 'currentUser', obj: 'Matter'
       })
       this.currentUser = response
+      emitAuthChange(this, 'userUpdate', null)
       return response
     })['catch'](error => {
-      if (error.status === 401) {
+      if (error.httpStatus === 401) {
         logger.warn({
           description: 'Called for current user without token.',
           error, func: 'currentUser', obj: 'Matter'
         })
-        token.delete()
+        this.token.delete()
+        emitAuthChange(this, 'tokenRemove', null)
         return Promise.resolve(null)
       }
       logger.error({
@@ -432,28 +1296,25 @@ export default class Matter {
         description: 'No current user profile to update.',
         func: 'updateAccount', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'Must be logged in to update account.'
-      })
+      return Promise.reject(new AuthError('Must be logged in to update account.', { code: 'NULL_ACCOUNT' }))
     }
     if (!updateData) {
       logger.error({
         description: 'Data is required to update profile.',
         func: 'updateAccount', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'Data required to update account.',
-        status: 'NULL_DATA'
-      })
+      return Promise.reject(new ValidationError('Data required to update account.', { code: 'NULL_DATA' }))
     }
+    const previousUser = this.currentUser
     // Send update request
-    return request.put(`${this.endpoint}/users/${this.currentUser.username}`, updateData)
+    return request.put(`${this.endpoint}/users/${this.currentUser.username}`, updateData, this.token)
     .then(response => {
       logger.info({
         description: 'Update profile request responded.',
         response, func: 'updateAccount', obj: 'Matter'
       })
       this.currentUser = response
+      emitAuthChange(this, 'userUpdate', previousUser)
       return response
     })['catch'](error => {
       logger.error({
@@ -464,6 +1325,78 @@ export default class Matter {
     })
   }
 
+  /** deleteAccount
+   * @description Permanently delete current user's account (password is confirmed before deleting). User is logged out after account is deleted.
+   * @param {Object} deleteData - Object containing current password
+   * @param {String} deleteData.password - Current password of account
+   * @return {Promise}
+   * @example
+   * //Delete current account
+   * matter.deleteAccount({ password: 'testpassword' }).then(function(){
+   *  console.log('Account deleted')
+   * }, function(err){
+   *  console.error('Error deleting account:', err)
+   * })
+   */
+  deleteAccount (deleteData) {
+    if (!this.isLoggedIn) {
+      logger.error({
+        description: 'No current user account to delete.',
+        func: 'deleteAccount', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged in to delete account.', { code: 'NULL_ACCOUNT' }))
+    }
+    if (!deleteData || !deleteData.password) {
+      logger.error({
+        description: 'Password is required to delete account.',
+        func: 'deleteAccount', obj: 'Matter'
+      })
+      return Promise.reject(new ValidationError('Password is required to delete account.', { code: 'PASS_REQUIRED' }))
+    }
+    const previousUser = this.currentUser
+    // Id or email can not be used in place of username when deleting
+    const username = (previousUser && previousUser.username) || (this.token.data && this.token.data.username)
+    if (!username) {
+      logger.error({
+        description: 'Username of current account is required to delete account.',
+        func: 'deleteAccount', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Username of current account is required to delete account.', { code: 'NULL_USERNAME' }))
+    }
+    // Re-authenticate before deleting (password is also sent with delete request so that server can confirm it)
+    return request.put(`${this.endpoint}/login`, { username, password: deleteData.password }, this.token)
+    .then(response => {
+      if (response && response.data && response.data.status === 409) {
+        return Promise.reject(new AuthError('Password of account could not be confirmed.', { code: 'ACCOUNT_NOT_FOUND', httpStatus: 409, cause: response.data }))
+      }
+      // Account can not be deleted using an unfinished login
+      if (response && response.mfaRequired) {
+        return Promise.reject(new AuthError('MFA code is required to delete account.', { code: 'MFA_REQUIRED' }))
+      }
+      return request.del(`${this.endpoint}/users/${username}`, { password: deleteData.password }, this.token)
+    })
+    .then(response => {
+      logger.info({
+        description: 'Account deleted.',
+        response, func: 'deleteAccount', obj: 'Matter'
+      })
+      this.currentUser = null
+      this.storage.removeItem(this.config.tokenUserDataName)
+      this.storage.removeItem(this.config.groupsName)
+      this.storage.removeItem(this.config.redirectStateName)
+      this.token.delete()
+      clearAuthProvider(this)
+      emitAuthChange(this, 'logout', previousUser)
+      return response
+    })['catch'](error => {
+      logger.error({
+        description: 'Error deleting account.',
+        error, func: 'deleteAccount', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
   /** uploadAvatar
    * @description Upload account avatar to Tessellate
    * @param {Object} file - File object to upload
@@ -482,23 +1415,18 @@ export default class Matter {
         description: 'Must be logged in to upload an image.',
         func: 'uploadAvatar', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'Must be logged in to upload image.'
-      })
+      return Promise.reject(new AuthError('Must be logged in to upload image.', { code: 'NULL_ACCOUNT' }))
     }
     if (!file) {
       logger.error({
         description: 'File is required to upload Avatar.',
         func: 'uploadAvatar', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'Data required to update profile.',
-        status: 'NULL_DATA'
-      })
+      return Promise.reject(new ValidationError('Data required to update profile.', { code: 'NULL_DATA' }))
     }
     const reqData = { files: [ { key: 'image', file } ] }
     // Send update request
-    return request.put(`${this.endpoint}/users/${this.currentUser.username}/avatar`, reqData)
+    return request.put(`${this.endpoint}/users/${this.currentUser.username}/avatar`, reqData, this.token)
   }
 
   /** changePassword
@@ -519,12 +1447,10 @@ export default class Matter {
         description: 'No current user profile for which to change password.',
         func: 'changePassword', obj: 'Matter'
       })
-      return Promise.reject({
-        message: 'Must be logged in to change password.'
-      })
+      return Promise.reject(new AuthError('Must be logged in to change password.', { code: 'NULL_ACCOUNT' }))
     }
     // Send update request
-    return request.put(`${this.endpoint}/user/password`, newPassword)
+    return request.put(`${this.endpoint}/user/password`, newPassword, this.token)
   }
 
   /** recoverAccount
@@ -544,7 +1470,7 @@ export default class Matter {
         description: 'Account data is required to recover an account.',
         func: 'recoverAccount', obj: 'Matter'
       })
-      return Promise.reject({message: 'Account data is required to recover an account.'})
+      return Promise.reject(new ValidationError('Account data is required to recover an account.', { code: 'NULL_DATA' }))
     }
     let account = {}
     if (isString(accountData)) {
@@ -556,12 +1482,262 @@ export default class Matter {
       description: 'Requesting recovery of account.', account,
       func: 'recoverAccount', obj: 'Matter'
     })
-    return request.put(`${this.endpoint}/user/recover`, account)
+    return request.put(`${this.endpoint}/user/recover`, account, this.token)
   }
 
-  /** Check that user is in a single group or in all of a list of groups
-   * @param {Array} checkGroups - List of groups to check for account membership
-   * @return {Boolean}
+  /** getPasswordResetCode
+   * @description Get password reset code from current url (passwordResetParam option)
+   * @return {String|null}
+   * @example
+   * //Show reset form when landing from recovery email
+   * if(matter.getPasswordResetCode()){
+   *  showResetForm()
+   * }
+   */
+  getPasswordResetCode () {
+    if (!dom.isBrowser()) return null
+    return dom.getQueryParam(this.config.passwordResetParam) || null
+  }
+
+  /** resetPassword
+   * @description Finish account recovery by setting a new password using code from recovery email
+   * @param {Object} resetData - Object containing reset code and new password
+   * @param {String} resetData.code - Reset code (read from current url if not provided)
+   * @param {String} resetData.password - New password
+   * @param {String} resetData.confirm - Confirmation of new password (Optional)
+   * @param {Object} options - Reset options
+   * @param {Boolean} options.login - Log in with new password after successful reset
+   * @return {Promise}
+   * @example
+   * //Reset password then login
+   * matter.resetPassword({ password: 'newpassword' }, { login: true }).then(function(user){
+   *  console.log('Password reset. Logged in as:', user)
+   * }, function(err){
+   *  console.error('Error resetting password:', err)
+   * })
+   */
+  resetPassword (resetData, options) {
+    const code = (resetData && resetData.code) || this.getPasswordResetCode()
+    if (!code) {
+      logger.error({
+        description: 'Reset code is required to reset password.',
+        func: 'resetPassword', obj: 'Matter'
+      })
+      return Promise.reject(new ValidationError('Reset code is required to reset password.', { code: 'CODE_REQUIRED' }))
+    }
+    const { password, confirm } = resetData || {}
+    if (!password) {
+      return Promise.reject(new ValidationError('Password is required to reset password.', { code: 'PASS_REQUIRED' }))
+    }
+    // New password follows same rules as signup
+    const passwordErrors = validation.validateField(password, this.config.signupRules && this.config.signupRules.password, resetData)
+    if (passwordErrors.length) {
+      logger.error({
+        description: 'Password is invalid.', errors: passwordErrors,
+        func: 'resetPassword', obj: 'Matter'
+      })
+      return Promise.reject(new ValidationError('Password is invalid.', { code: 'VALIDATION_FAILED', errors: { password: passwordErrors } }))
+    }
+    if (confirm !== undefined && confirm !== password) {
+      return Promise.reject(new ValidationError('Passwords do not match.', { code: 'PASS_MISMATCH' }))
+    }
+    return request.put(`${this.endpoint}/user/reset`, { code, password }, this.token).then(response => {
+      logger.info({
+        description: 'Password reset successful.',
+        func: 'resetPassword', obj: 'Matter'
+      })
+      if (dom.isBrowser() && dom.getQueryParam(this.config.passwordResetParam)) {
+        dom.removeQueryParam(this.config.passwordResetParam)
+      }
+      if (!options || !options.login) {
+        return response
+      }
+      if (response && response.token) {
+        return saveAuth(this, 'login', response)
+      }
+      const user = (response && response.user) ? response.user : response
+      if (!user || !user.username) {
+        logger.warn({
+          description: 'Username not included in reset response. Login skipped.',
+          func: 'resetPassword', obj: 'Matter'
+        })
+        return response
+      }
+      return this.login({ username: user.username, password })
+    })['catch'](error => {
+      logger.error({
+        description: 'Error resetting password.',
+        error, func: 'resetPassword', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** sendVerificationEmail
+   * @description Send email containing verification link/code to current user's email
+   * @return {Promise}
+   * @example
+   * //Send verification email to current user
+   * matter.sendVerificationEmail().then(function(){
+   *  console.log('Verification email sent')
+   * }, function(err){
+   *  console.error('Error sending verification email:', err)
+   * })
+   */
+  sendVerificationEmail () {
+    if (!this.isLoggedIn) {
+      logger.error({
+        description: 'Must be logged in to send verification email.',
+        func: 'sendVerificationEmail', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged in to send verification email.', { code: 'NULL_ACCOUNT' }))
+    }
+    return request.post(`${this.endpoint}/user/verify`, {}, this.token).then(response => {
+      logger.info({
+        description: 'Verification email sent.',
+        response, func: 'sendVerificationEmail', obj: 'Matter'
+      })
+      return response
+    })['catch'](error => {
+      logger.error({
+        description: 'Error sending verification email.',
+        error, func: 'sendVerificationEmail', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** verifyEmail
+   * @description Verify email using code from verification email (updates current user if logged in)
+   * @param {String} code - Verification code
+   * @return {Promise}
+   * @example
+   * //Verify email with code
+   * matter.verifyEmail('somecode').then(function(user){
+   *  console.log('Email verified')
+   * }, function(err){
+   *  console.error('Error verifying email:', err)
+   * })
+   */
+  verifyEmail (code) {
+    if (!code) {
+      logger.error({
+        description: 'Code is required to verify email.',
+        func: 'verifyEmail', obj: 'Matter'
+      })
+      return Promise.reject(new ValidationError('Code is required to verify email.', { code: 'CODE_REQUIRED' }))
+    }
+    const previousUser = this.currentUser
+    return request.put(`${this.endpoint}/user/verify`, { code }, this.token).then(response => {
+      logger.info({
+        description: 'Email verified.',
+        response, func: 'verifyEmail', obj: 'Matter'
+      })
+      const user = (response && response.user) ? response.user : response
+      if (this.isLoggedIn && user) {
+        this.currentUser = user
+        emitAuthChange(this, 'userUpdate', previousUser)
+      }
+      return user
+    })['catch'](error => {
+      logger.error({
+        description: 'Error verifying email.',
+        error, func: 'verifyEmail', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** verifyEmailFromUrl
+   * @description Verify email using code within current url (emailVerificationParam option) then remove code from address bar
+   * @return {Promise} Resolves with null if url does not contain a verification code
+   * @example
+   * //Handle landing from verification link
+   * matter.verifyEmailFromUrl().then(function(user){
+   *  if (user) console.log('Email verified')
+   * })
+   */
+  verifyEmailFromUrl () {
+    if (!dom.isBrowser()) {
+      return Promise.resolve(null)
+    }
+    const code = dom.getQueryParam(this.config.emailVerificationParam)
+    if (!code) {
+      return Promise.resolve(null)
+    }
+    return this.verifyEmail(code).then(user => {
+      dom.removeQueryParam(this.config.emailVerificationParam)
+      return user
+    })
+  }
+
+  /** getGroups
+   * @description Get groups of current account from server. Groups are cached in storage for groupsCacheTime option and used by isInGroup in place of groups within token.
+   * @param {Object} options - Options
+   * @param {Boolean} options.refresh - Load groups from server even if cached groups have not expired
+   * @return {Promise} Resolves with list of groups
+   * @example
+   * matter.getGroups({ refresh: true }).then(function(groups){
+   *  console.log('Current groups:', groups)
+   * })
+   */
+  getGroups (options) {
+    if (!this.isLoggedIn) {
+      logger.error({
+        description: 'Must be logged in to get groups.',
+        func: 'getGroups', obj: 'Matter'
+      })
+      return Promise.reject(new AuthError('Must be logged in to get groups.', { code: 'NULL_ACCOUNT' }))
+    }
+    const cachedGroups = getCachedGroups(this)
+    if (cachedGroups && !(options && options.refresh)) {
+      return Promise.resolve(cachedGroups)
+    }
+    return request.get(`${this.endpoint}/user/groups`, null, this.token).then(response => {
+      const groups = normalizeGroups(response)
+      this.storage.setItem(this.config.groupsName, {
+        groups,
+        account: accountId(this.currentUser, this.token.data),
+        loadedAt: Date.now()
+      }, { persist: this.token.persistence !== false })
+      logger.debug({
+        description: 'Groups loaded.', groups,
+        func: 'getGroups', obj: 'Matter'
+      })
+      return groups
+    })['catch'](error => {
+      logger.error({
+        description: 'Error getting groups.',
+        error, func: 'getGroups', obj: 'Matter'
+      })
+      return Promise.reject(error)
+    })
+  }
+
+  /** Check group membership (see isInGroup) using groups from server (loaded using getGroups)
+   * @param {String|Array} checkGroups - Group expression or list of groups to check for account membership
+   * @param {Object} options - Options passed to getGroups
+   * @param {Boolean} options.refresh - Load groups from server even if cached groups have not expired
+   * @return {Promise} Resolves with Boolean
+   * @example
+   * matter.isInGroupAsync('admins', { refresh: true }).then(function(isAdmin){
+   *  console.log('Current account is an admin:', isAdmin)
+   * })
+   */
+  isInGroupAsync (checkGroups, options) {
+    if (!this.isLoggedIn) {
+      logger.log({
+        description: 'No logged in user to check for groups.',
+        func: 'isInGroupAsync', obj: 'Matter'
+      })
+      return Promise.resolve(false)
+    }
+    return this.getGroups(options).then(() => this.isInGroup(checkGroups))
+  }
+
+  /** Check that user is in a single group, in all of a list of groups, or matches a group expression (| for or, & or , for and, ! for not, and parentheses)
+   * @param {String|Array} checkGroups - Group expression or list of group names to check for account membership
+   * @return {Boolean} (false if expression has bad syntax)
    * @example
    * //Check for group membership
    * var isBoth =
@@ -570,6 +1746,8 @@ export default class Matter {
    * } else {
    * console.warn('Current account is not an admin.')
    * }
+   * //Check group expression
+   * var canEdit = matter.isInGroup('admins | (editors & !suspended)')
    */
   isInGroup (checkGroups) {
     if (!this.isLoggedIn) {
@@ -588,27 +1766,24 @@ export default class Matter {
     }
     // Check if user is within groups
     if (isString(checkGroups)) {
-      const groupName = checkGroups
-      // Single role or string list of roles
-      const groupsArray = groupName.split(',')
-      if (groupsArray.length > 1) {
-        // String list of groupts
-        logger.info({
-          description: 'String list of groups.', list: groupsArray,
-          func: 'isInGroup', obj: 'Matter'
-        })
-        return this.isInGroups(groupsArray)
-      }
-      // Single group
-      let groups = this.token.data.groups || []
       logger.log({
-        description: 'Checking if user is in group.',
-        group: groupName, userGroups: this.token.data.groups,
+        description: 'Checking if user is in group.', group: checkGroups,
         func: 'isInGroup', obj: 'Matter'
       })
-      return some(groups, (group) => {
-        return groupName === group.name
-      })
+      // Names containing operators (R&D) match before being parsed as an expression
+      if (hasGroup(this, checkGroups)) return true
+      // Single group, comma list of groups, or group expression
+      let expression
+      try {
+        expression = groupExpression.parse(checkGroups)
+      } catch (error) {
+        logger.error({
+          description: error.message, expression: checkGroups,
+          func: 'isInGroup', obj: 'Matter'
+        })
+        return false
+      }
+      return groupExpression.evaluate(expression, groupName => hasGroup(this, groupName))
     }
     if (isArray(checkGroups)) {
       return this.isInGroups(checkGroups)
@@ -617,7 +1792,7 @@ export default class Matter {
   }
 
   /** Check that user is in all of a list of groups
-   * @param {Array|String} checkGroups - List of groups to check for account membership
+   * @param {Array|String} checkGroups - List of group names or objects (or group expression) to check for account membership
    * @return {Boolean}
    * @example
    * //Check for group membership
@@ -645,29 +1820,26 @@ export default class Matter {
     }
     // Check if user is in some of the provided groups
     if (isArray(checkGroups)) {
-      return every(checkGroups.map(group => {
+      // Names within lists are not parsed as expressions
+      return every(checkGroups, group => {
         if (isString(group)) {
           // Group is string
-          return this.isInGroup(group)
+          return hasGroup(this, group)
         }
         // Group is object
         if (has(group, 'name')) {
-          return this.isInGroup(group.name)
+          return hasGroup(this, group.name)
         }
         logger.error({
           description: 'Invalid group object.',
           group: group, func: 'isInGroups', obj: 'Matter'
         })
         return false
-      }), true)
+      })
     }
     if (isString(checkGroups)) {
-      // TODO: Handle spaces within string list
-      const groupsArray = checkGroups.split(',')
-      if (groupsArray.length > 1) {
-        return this.isInGroups(groupsArray)
-      }
-      return this.isInGroup(groupsArray[0])
+      // Comma list or group expression
+      return this.isInGroup(checkGroups)
     }
     logger.error({
       description: 'Invalid groups list.',
@@ -675,4 +1847,434 @@ export default class Matter {
     })
     return false
   }
+
+  /** Check that user has a permission (or all of a list of permissions). Wildcards are supported in granted permissions (projects:* grants projects:write).
+   * @param {String|Array} checkPermissions - Permission or list of permissions to check
+   * @return {Boolean}
+   * @example
+   * if(matter.hasPermission('projects:write')){
+   * console.log('Current account can edit projects')
+   * }
+   */
+  hasPermission (checkPermissions) {
+    if (!this.isLoggedIn) {
+      logger.log({
+        description: 'No logged in user to check for permissions.',
+        func: 'hasPermission', obj: 'Matter'
+      })
+      return false
+    }
+    const permissionsList = isString(checkPermissions) ? [checkPermissions] : checkPermissions
+    if (!isArray(permissionsList) || !permissionsList.length) {
+      logger.log({
+        description: 'Invalid permission(s).',
+        func: 'hasPermission', obj: 'Matter'
+      })
+      return false
+    }
+    const granted = this.permissions
+    logger.log({
+      description: 'Checking if user has permissions.',
+      permissions: permissionsList, granted,
+      func: 'hasPermission', obj: 'Matter'
+    })
+    return every(permissionsList, permission => permissions.hasPermission(granted, permission))
+  }
+
+  /** Check that user can perform an action on a resource (checks resource:action permission)
+   * @param {String} action - Action to check (read, write, delete, etc)
+   * @param {String} resource - Resource to check (projects, users, etc)
+   * @return {Boolean}
+   * @example
+   * if(matter.can('write', 'projects')){
+   * console.log('Current account can edit projects')
+   * }
+   */
+  can (action, resource) {
+    if (!action || !resource) {
+      logger.log({
+        description: 'Action and resource are required to check permission.',
+        func: 'can', obj: 'Matter'
+      })
+      return false
+    }
+    return this.hasPermission(`${resource}:${action}`)
+  }
+}
+
+// Error classes are attached to Matter so that module only has a default export (require('kyper-matter') returns Matter)
+Matter.MatterError = MatterError
+Matter.ValidationError = ValidationError
+Matter.AuthError = AuthError
+Matter.NetworkError = NetworkError
+Matter.ServerError = ServerError
+Matter.ProviderError = ProviderError
+
+/** Emit auth state event and authStateChange event containing previous and current user
+ * @private
+ * @param {Matter} matter - Matter instance emitting event
+ * @param {String} type - Type of auth state change
+ * @param {Object|null} previousUser - User before change
+ * @param {Boolean} remote - Whether change was made in another tab
+ */
+function emitAuthChange (matter, type, previousUser, remote) {
+  const event = { type, previousUser, user: matter.currentUser }
+  if (remote) {
+    event.remote = true
+  } else if (matter.channel) {
+    matter.channel.post({ type, user: event.user })
+  }
+  // Keep signed in accounts in sync with auth state
+  if (matter.isLoggedIn && matter.currentUser) {
+    saveAccount(matter)
+  } else if (previousUser) {
+    saveAccounts(matter, reject(getAccounts(matter), { id: accountId(previousUser) }))
+  }
+  logger.debug({
+    description: 'Auth state changed.', event,
+    func: 'emitAuthChange', file: 'index'
+  })
+  matter.events.emit(type, event)
+  matter.events.emit('authStateChange', event)
+}
+
+/** Handle successful login response (saves auth or pending MFA challenge)
+ * @private
+ * @param {Matter} matter - Matter instance logging in
+ * @param {Object} response - Login response
+ * @param {Object} options - Login options
+ * @return {Object|null} Current user or pending MFA challenge
+ */
+function finishLogin (matter, response, options) {
+  // Second factor required to finish login
+  if (response.mfaRequired) {
+    matter.mfaChallenge = {
+      mfaRequired: true,
+      mfaToken: response.mfaToken,
+      methods: response.methods || ['totp'],
+      options
+    }
+    logger.info({
+      description: 'MFA code required to finish login.',
+      func: 'finishLogin', file: 'index'
+    })
+    return matter.mfaChallenge
+  }
+  matter.mfaChallenge = null
+  saveAuth(matter, 'login', response, options)
+  logger.info({
+    description: 'Successful login.', user: matter.currentUser,
+    func: 'finishLogin', file: 'index'
+  })
+  return matter.currentUser
+}
+
+/** Save token and user from auth response then emit auth state change
+ * @private
+ * @param {Matter} matter - Matter instance to save auth for
+ * @param {String} type - Type of auth state change
+ * @param {Object} response - Response containing token and user
+ * @param {Object} options - Auth options containing remember setting
+ * @return {Object|null} Current user
+ */
+function saveAuth (matter, type, response, options) {
+  const previousUser = matter.currentUser
+  const wasAnonymous = matter.isAnonymous
+  const remember = (options && has(options, 'remember')) ? options.remember : matter.config.remember
+  // Latest token of account being replaced is kept for switching back to it
+  if (response.token && previousUser) {
+    saveAccount(matter)
+  }
+  if (response.token) {
+    matter.token.save(response.token, remember)
+  }
+  if (response.user) {
+    // User data is kept as long as token is kept
+    matter.storage.setItem(matter.config.tokenUserDataName, response.user, { persist: remember !== false })
+  }
+  // Provider is kept so that its cached credentials can be cleared on logout
+  if (response.provider) {
+    matter.storage.setItem(matter.config.authProviderName, response.provider, { persist: remember !== false })
+  } else if (response.token) {
+    matter.storage.removeItem(matter.config.authProviderName)
+  }
+  // Groups of previous session are loaded again when needed
+  if (response.token) {
+    matter.storage.removeItem(matter.config.groupsName)
+  }
+  // Converted guest is no longer a separate signed in account
+  if (wasAnonymous && !matter.isAnonymous && previousUser) {
+    saveAccounts(matter, reject(getAccounts(matter), { id: accountId(previousUser) }))
+  }
+  emitAuthChange(matter, type, previousUser)
+  return matter.currentUser
+}
+
+/** Get list of linked providers from response (updates current user when response contains user)
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @param {Object|Array} response - Response from providers endpoint
+ * @return {Array} Linked providers
+ */
+function handleProvidersResponse (matter, response) {
+  if (response && response.user) {
+    const previousUser = matter.currentUser
+    matter.currentUser = response.user
+    emitAuthChange(matter, 'userUpdate', previousUser)
+  }
+  if (isArray(response)) return response
+  return (response && response.providers) || []
+}
+
+/** Exchange code from provider for token (guest sessions are converted to provider account)
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @param {Object} authData - Provider, code, stateToken, codeVerifier, and redirectUri
+ * @return {Promise} Resolves with token and user
+ */
+function exchangeProviderCode (matter, authData) {
+  if (matter.isAnonymous) {
+    return request.put(`${matter.endpoint}/user/upgrade`, authData, matter.token)
+  }
+  return ProviderAuth.exchangeCode(authData, matter.config, matter.token)
+}
+
+/** Remove provider used to log in and clear its cached credentials
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @return {String|null} Provider that was used to log in
+ */
+function clearAuthProvider (matter) {
+  const provider = matter.authProvider
+  if (!provider) return null
+  matter.storage.removeItem(matter.config.authProviderName)
+  ProviderAuth.clearProviderCache(provider, matter.config)
+  return provider
+}
+
+/** Redirect to logout page of provider when providerLogout option is set
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @param {String} provider - Provider used to log in
+ * @param {Object} options - Logout options
+ */
+function redirectToProviderLogout (matter, provider, options) {
+  if (!provider || !options || !options.providerLogout || !dom.isBrowser()) return
+  const logoutUrl = matter.config.providerLogoutUrls && matter.config.providerLogoutUrls[provider]
+  if (!logoutUrl) {
+    logger.warn({
+      description: 'Logout url not found for provider.', provider,
+      func: 'redirectToProviderLogout', file: 'index'
+    })
+    return
+  }
+  window.location.assign(logoutUrl)
+}
+
+/** Get id used to identify signed in account
+ * @private
+ * @param {Object} user - Account data
+ * @param {Object} tokenData - Decoded token data (used when user is not available)
+ * @return {String|null}
+ */
+function accountId (user, tokenData) {
+  const data = user || tokenData
+  if (!data) return null
+  return data.username || data.id || data.email || data.sub || null
+}
+
+/** Get url of projects endpoint (projects of owner or current user)
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @return {String}
+ */
+function projectsUrl (matter) {
+  const owner = matter.owner || (matter.currentUser && matter.currentUser.username)
+  return owner ? `${matter.config.serverUrl}/users/${owner}/projects` : `${matter.config.serverUrl}/projects`
+}
+
+/** Check if user is in group with name
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @param {String} groupName - Name of group
+ * @return {Boolean}
+ */
+function hasGroup (matter, groupName) {
+  return some(currentGroups(matter), group => groupName === group.name)
+}
+
+/** Get groups of current user
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @return {Array}
+ */
+function currentGroups (matter) {
+  // Groups loaded from server are used over (possibly outdated) groups within token
+  return getCachedGroups(matter) || (matter.token.data && matter.token.data.groups) || []
+}
+
+/** Get groups loaded from server (null if groups are not loaded, are expired, or belong to another account)
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @return {Array|null}
+ */
+function getCachedGroups (matter) {
+  const cached = matter.storage.getItem(matter.config.groupsName)
+  if (!cached || !isArray(cached.groups)) return null
+  if (cached.account !== accountId(matter.currentUser, matter.token.data)) return null
+  if (Date.now() - cached.loadedAt >= matter.config.groupsCacheTime * 1000) return null
+  return cached.groups
+}
+
+/** Get list of groups from response (group names are converted to group objects like those within token)
+ * @private
+ * @param {Object|Array} response - Response from groups endpoint
+ * @return {Array}
+ */
+function normalizeGroups (response) {
+  const groups = isArray(response) ? response : ((response && response.groups) || [])
+  return groups.map(group => isString(group) ? { name: group } : group)
+}
+
+/** Request methods that send token of Matter instance by default
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @return {Object} get, post, put, and del methods
+ */
+function bindRequest (matter) {
+  return {
+    get: (endpoint, queryData, authToken = matter.token) => request.get(endpoint, queryData, authToken),
+    post: (endpoint, data, authToken = matter.token) => request.post(endpoint, data, authToken),
+    put: (endpoint, data, authToken = matter.token) => request.put(endpoint, data, authToken),
+    del: (endpoint, data, authToken = matter.token) => request.del(endpoint, data, authToken)
+  }
+}
+
+/** Move session saved by versions without namespaced names (shared token cookie) to Matter instance
+ * @private
+ * @param {Matter} matter - Matter instance
+ */
+function migrateLegacySession (matter) {
+  const legacyToken = sharedToken.string
+  if (!legacyToken || matter.config.tokenName === config.tokenName) return
+  logger.info({
+    description: 'Moving session saved by previous version.',
+    func: 'migrateLegacySession', file: 'index'
+  })
+  const legacyUser = matter.storage.getItem(config.tokenUserDataName)
+  matter.token.save(legacyToken)
+  if (legacyUser) {
+    matter.storage.setItem(matter.config.tokenUserDataName, legacyUser, { persist: matter.token.persistence !== false })
+  }
+  matter.storage.removeItem(config.tokenUserDataName)
+  sharedToken.delete()
+}
+
+/** Remove user data, token data, and signed in account left in storage after token cookie expired
+ * @private
+ * @param {Matter} matter - Matter instance
+ */
+function clearExpiredSession (matter) {
+  const user = matter.storage.getItem(matter.config.tokenUserDataName)
+  const tokenData = matter.storage.getItem(matter.config.tokenDataName)
+  if (!user && !tokenData) return
+  logger.debug({
+    description: 'Clearing data of expired session.',
+    func: 'clearExpiredSession', file: 'index'
+  })
+  const id = accountId(user, tokenData)
+  if (id) {
+    saveAccounts(matter, reject(getAccounts(matter), { id }))
+  }
+  matter.storage.removeItem(matter.config.tokenUserDataName)
+  matter.storage.removeItem(matter.config.tokenDataName)
+}
+
+/** Request new token from server
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @param {Object} authToken - Token to refresh (token of Matter instance or object containing string of stored account token)
+ * @return {Promise} Resolves with new token string
+ */
+function requestTokenRefresh (matter, authToken) {
+  return request.put(`${matter.endpoint}/token/refresh`, null, authToken).then(response => {
+    if (!response || !response.token) {
+      return Promise.reject(new AuthError('Token not included in refresh response.', { code: 'NULL_TOKEN' }))
+    }
+    return response.token
+  })
+}
+
+/** Refresh expired token of signed in account (account is removed if its token can not be refreshed)
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @param {Object} account - Signed in account
+ * @return {Promise} Resolves with new token string
+ */
+function refreshAccountToken (matter, account) {
+  return requestTokenRefresh(matter, { string: account.token })['catch'](error => {
+    logger.warn({
+      description: 'Session of account has expired.', id: account.id,
+      error, func: 'refreshAccountToken', file: 'index'
+    })
+    saveAccounts(matter, reject(getAccounts(matter), { id: account.id }))
+    return Promise.reject(new AuthError('Session of account has expired. Login again to use it.', { code: 'SESSION_EXPIRED', cause: error }))
+  })
+}
+
+/** Get signed in accounts from storage
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @return {Array}
+ */
+function getAccounts (matter) {
+  const accounts = matter.storage.getItem(matter.config.accountsName)
+  return isArray(accounts) ? accounts : []
+}
+
+/** Save list of signed in accounts to storage
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @param {Array} accounts - Accounts to save
+ */
+function saveAccounts (matter, accounts) {
+  // List is kept after browser is closed when it contains a remembered session
+  const persist = some(accounts, account => account.remember !== false)
+  matter.storage.setItem(matter.config.accountsName, accounts, { persist })
+}
+
+/** Add or update active account in list of signed in accounts
+ * @private
+ * @param {Matter} matter - Matter instance
+ */
+function saveAccount (matter) {
+  const id = accountId(matter.currentUser, matter.token.data)
+  if (!id) return
+  const account = { id, token: matter.token.string, user: matter.currentUser, remember: matter.token.persistence, provider: matter.authProvider }
+  saveAccounts(matter, reject(getAccounts(matter), { id }).concat(account))
+}
+
+/** Apply auth state change made in another tab (token cookie is shared between tabs, user data is not)
+ * @private
+ * @param {Matter} matter - Matter instance
+ * @param {Object} message - Message containing type of change and current user
+ */
+function handleSyncMessage (matter, message) {
+  if (!message || !message.type) return
+  const previousUser = matter.currentUser
+  logger.debug({
+    description: 'Auth state changed in another tab.', message,
+    func: 'handleSyncMessage', file: 'index'
+  })
+  if (!matter.isLoggedIn) {
+    // Token was removed by other tab
+    matter.currentUser = null
+    matter.token.delete()
+  } else {
+    matter.token.reload()
+    if (message.user) {
+      matter.currentUser = message.user
+    }
+  }
+  emitAuthChange(matter, message.type, previousUser, true)
 }
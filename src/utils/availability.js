@@ -0,0 +1,105 @@
+import logger from './logger'
+import { forEach, isEmpty, every, isBoolean, isArray } from 'lodash'
+
+/**
+ * @description Create checker that looks up availability of values (username, email) as a user types. Lookups are debounced and results are cached by value.
+ * @param {Object} settings - Checker settings
+ * @param {Function} settings.lookup - Called with values to look up, returns Promise resolving with availability by field
+ * @param {Number} settings.debounce - Time (in ms) to wait for typing to stop before looking up values
+ * @param {Number} settings.cacheTime - Time (in ms) that results are kept
+ * @return {Object} Checker with check and clear methods
+ */
+export function createAvailabilityChecker (settings) {
+  let cache = {}
+  let timer = null
+  let pending = []
+  let latestValues = null
+
+  const getCached = (field, value) => {
+    const entry = cache[`${field}:${value}`]
+    if (!entry || Date.now() - entry.checkedAt >= settings.cacheTime) return null
+    return entry.result
+  }
+
+  const isCached = values => every(values, (value, field) => !value || getCached(field, value))
+
+  const lookup = values => {
+    const result = {}
+    const query = {}
+    forEach(values, (value, field) => {
+      if (!value) return
+      const cached = getCached(field, value)
+      if (cached) {
+        result[field] = cached
+      } else {
+        query[field] = value
+      }
+    })
+    if (isEmpty(query)) {
+      return Promise.resolve(result)
+    }
+    return settings.lookup(query).then(response => {
+      forEach(query, (value, field) => {
+        const fieldResult = normalizeResult(response && response[field])
+        cache[`${field}:${value}`] = { result: fieldResult, checkedAt: Date.now() }
+        result[field] = fieldResult
+      })
+      return result
+    })
+  }
+
+  const flush = () => {
+    timer = null
+    const callers = pending
+    pending = []
+    lookup(latestValues).then(result => {
+      callers.forEach(caller => caller.resolve(result))
+    }, error => {
+      logger.error({
+        description: 'Error looking up availability.', error,
+        func: 'flush', obj: 'availability'
+      })
+      callers.forEach(caller => caller.reject(error))
+    })
+  }
+
+  return {
+    /** Check availability of values. Calls made while typing are combined so that only the latest values are looked up (all pending calls resolve with the latest result).
+     * @param {Object} values - Values by field (username, email)
+     * @return {Promise} Resolves with availability by field
+     */
+    check (values) {
+      // Cached results are returned without waiting
+      if (isCached(values)) {
+        return lookup(values)
+      }
+      latestValues = values
+      if (timer) clearTimeout(timer)
+      timer = setTimeout(flush, settings.debounce)
+      return new Promise((resolve, reject) => {
+        pending.push({ resolve, reject })
+      })
+    },
+
+    /** Remove cached results
+     */
+    clear () {
+      cache = {}
+    }
+  }
+}
+
+/**
+ * @description Normalize availability result of a field (server can respond with a boolean or an object)
+ * @param {Boolean|Object} fieldResult - Result from server
+ * @return {Object} Result containing available and suggestions
+ */
+function normalizeResult (fieldResult) {
+  if (isBoolean(fieldResult)) {
+    return { available: fieldResult, suggestions: [] }
+  }
+  return {
+    available: !!(fieldResult && fieldResult.available),
+    suggestions: (fieldResult && isArray(fieldResult.suggestions)) ? fieldResult.suggestions : []
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * @description Encode bytes as base64url (base64 without padding that is safe to use in urls)
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes to encode
+ * @return {String}
+ */
+export function encode (buffer) {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i])
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * @description Decode base64url string to bytes
+ * @param {String} value - Base64url (or base64) encoded string
+ * @return {ArrayBuffer}
+ */
+export function decode (value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const padded = base64 + '==='.slice((base64.length + 3) % 4)
+  const binary = atob(padded)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes.buffer
+}
@@ -1,5 +1,4 @@
 import log from './logger'
-import { includes } from 'lodash'
 
 /**
  * @description Gets cookie value by cookie name.
@@ -18,7 +17,7 @@ export function getCookie (cookieName) {
     let c = ca[i]
     while (c.charAt(0) === ' ') { c = c.substring(1) }
     try {
-      if (includes(c, name)) { return c.substring(name.length, c.length) }
+      if (c.indexOf(name) === 0) { return c.substring(name.length, c.length) }
     } catch (error) {
       log.warn({
         description: 'Cookie cannot be loaded.', cookieName,
@@ -35,15 +34,18 @@ export function getCookie (cookieName) {
  *
  * @param {String} cookieName - cookie name
  * @param {String} cookieValue - cookie value
- * @param {Integer} expDays - expiration day(s)
+ * @param {Integer} expDays - expiration day(s) (cookie is removed when browser is closed if not provided)
  *
  */
 export function setCookie (cookieName, cookieValue, expDays) {
-  const d = new Date()
-  d.setTime(d.getTime() + (expDays * 24 * 60 * 60 * 1000))
-  const expires = 'expires=' + d.toUTCString()
+  let expires = ''
+  if (typeof expDays === 'number') {
+    const d = new Date()
+    d.setTime(d.getTime() + (expDays * 24 * 60 * 60 * 1000))
+    expires = '; expires=' + d.toUTCString()
+  }
   try {
-    document.cookie = cookieName + '=' + cookieValue + '; Path=/; ' + expires
+    document.cookie = cookieName + '=' + cookieValue + '; Path=/' + expires
   } catch (e) {
     log.warn({
       description: 'Cookie cannot be set because browser is not capable.',
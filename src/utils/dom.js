@@ -101,3 +101,36 @@ export function getQueryParam (name) {
   const results = regex.exec(window.location.search)
   return results === null ? '' : decodeURIComponent(results[1].replace(/\+/g, ' '))
 }
+
+/**
+ * @description Remove query param from current location/url without reloading page
+ * @param {String} name - Name of query parameter to remove
+ *
+ */
+export function removeQueryParam (name) {
+  if (!isBrowser()) {
+    logger.error({
+      description: 'Browser is required to remove query params.',
+      func: 'removeQueryParam', obj: 'dom'
+    })
+    throw new Error('Query parameters are only available within browsers.')
+  }
+  const { pathname, search, hash } = window.location
+  const params = search.replace(/^\?/, '').split('&').filter(param => {
+    return param !== '' && decodeURIComponent(param.split('=')[0]) !== name
+  })
+  const newSearch = params.length ? `?${params.join('&')}` : ''
+  if (newSearch === search) return
+  if (!window.history || typeof window.history.replaceState !== 'function') {
+    logger.warn({
+      description: 'History is required to remove query params.',
+      func: 'removeQueryParam', obj: 'dom'
+    })
+    return
+  }
+  window.history.replaceState(window.history.state, document.title, `${pathname}${newSearch}${hash}`)
+  logger.debug({
+    description: 'Query param removed from url.', name,
+    func: 'removeQueryParam', obj: 'dom'
+  })
+}
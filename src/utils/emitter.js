@@ -0,0 +1,56 @@
+import logger from './logger'
+import { isFunction, without } from 'lodash'
+
+export default class Emitter {
+  constructor () {
+    this.listeners = {}
+  }
+
+  /** Add listener for an event
+   * @param {String} eventName - Name of event to listen for
+   * @param {Function} listener - Function called with event data when event is emitted
+   * @return {Function} Function that removes listener when called
+   */
+  on (eventName, listener) {
+    if (!isFunction(listener)) {
+      logger.error({
+        description: 'Listener must be a function.', eventName,
+        func: 'on', obj: 'Emitter'
+      })
+      throw new Error('Listener must be a function.')
+    }
+    this.listeners[eventName] = (this.listeners[eventName] || []).concat(listener)
+    return () => this.off(eventName, listener)
+  }
+
+  /** Remove listener for an event (all listeners for event if listener is not provided)
+   * @param {String} eventName - Name of event
+   * @param {Function} listener - Listener to remove
+   */
+  off (eventName, listener) {
+    if (!this.listeners[eventName]) return
+    if (!listener) {
+      delete this.listeners[eventName]
+      return
+    }
+    this.listeners[eventName] = without(this.listeners[eventName], listener)
+  }
+
+  /** Call each listener of an event
+   * @param {String} eventName - Name of event
+   * @param {...*} args - Data passed to listeners
+   */
+  emit (eventName, ...args) {
+    const listeners = this.listeners[eventName] || []
+    listeners.forEach(listener => {
+      try {
+        listener(...args)
+      } catch (error) {
+        logger.error({
+          description: 'Error in event listener.', eventName, error,
+          func: 'emit', obj: 'Emitter'
+        })
+      }
+    })
+  }
+}
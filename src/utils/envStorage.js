@@ -8,7 +8,7 @@ let data = {}
  *
  */
 export function localExists () {
-  const testKey = 'test'
+  const testKey = 'tessellate-storageTest'
   if (typeof window !== 'undefined' && typeof window.sessionStorage !== 'undefined') {
     try {
       window.sessionStorage.setItem(testKey, '1')
@@ -25,22 +25,76 @@ export function localExists () {
   return false
 }
 
+/** Gets whether or not persistent (local) storage exists.
+ * @return {Boolean}
+ *
+ */
+export function persistentExists () {
+  const testKey = 'tessellate-storageTest'
+  if (typeof window !== 'undefined' && typeof window.localStorage !== 'undefined') {
+    try {
+      window.localStorage.setItem(testKey, '1')
+      window.localStorage.removeItem(testKey)
+      return true
+    } catch (error) {
+      logger.error({
+        description: 'Error saving to local storage', error,
+        obj: 'storage', func: 'persistentExists'
+      })
+      return false
+    }
+  }
+  return false
+}
+
+/**
+ * @description
+ * Gets whether item is saved to persistent (local) storage.
+ *
+ * @param {String} itemName The items name
+ * @return {Boolean|null} null if item is not saved to session or local storage
+ *
+ */
+export function isPersisted (itemName) {
+  if (persistentExists() && window.localStorage.getItem(itemName) !== null) {
+    return true
+  }
+  if (localExists() && window.sessionStorage.getItem(itemName) !== null) {
+    return false
+  }
+  return null
+}
+
 /**
  * @description
- * Safley sets item to session storage. Alias: item()
+ * Safley sets item to session storage (or local storage when persisting). Alias: item()
  *
  * @param {String} itemName The items name
  * @param {String} itemValue The items value
+ * @param {Object} options Storage options
+ * @param {Boolean} options.persist Save to local storage so item remains after browser is closed (item stays where it is currently saved if not provided)
  *
  */
-export function setItem (itemName, itemValue) {
+export function setItem (itemName, itemValue, options) {
   data[itemName] = itemValue
-  if (localExists()) {
-    // Convert object to string
-    if (isObject(itemValue)) {
-      itemValue = JSON.stringify(itemValue)
+  let persist = (options && typeof options.persist !== 'undefined') ? options.persist : isPersisted(itemName) === true
+  if (persist && !persistentExists()) {
+    persist = false
+  }
+  // Convert object to string
+  if (isObject(itemValue)) {
+    itemValue = JSON.stringify(itemValue)
+  }
+  if (persist) {
+    window.localStorage.setItem(itemName, itemValue)
+    if (localExists()) {
+      window.sessionStorage.removeItem(itemName)
     }
+  } else if (localExists()) {
     window.sessionStorage.setItem(itemName, itemValue)
+    if (persistentExists()) {
+      window.localStorage.removeItem(itemName)
+    }
   }
 }
 
@@ -55,8 +109,11 @@ export function setItem (itemName, itemValue) {
 export function getItem (itemName) {
   if (data[itemName]) {
     return data[itemName]
-  } else if (localExists()) {
-    let itemStr = window.sessionStorage.getItem(itemName)
+  } else if (localExists() || persistentExists()) {
+    let itemStr = localExists() ? window.sessionStorage.getItem(itemName) : null
+    if (itemStr === null && persistentExists()) {
+      itemStr = window.localStorage.getItem(itemName)
+    }
     // Check that str is not null before parsing
     if (itemStr) {
       let isObj = false
@@ -81,7 +138,7 @@ export function getItem (itemName) {
 }
 
 /**
- * @description Safley removes item from session storage.
+ * @description Safley removes item from session and local storage.
  *
  * @param {String} itemName - The items name
  *
@@ -91,10 +148,15 @@ export function removeItem (itemName) {
   if (data[itemName]) {
     data[itemName] = null
   }
-  if (localExists() && getItem(itemName)) {
+  if ((localExists() || persistentExists()) && getItem(itemName)) {
     try {
-      // Clear session storage
-      window.sessionStorage.removeItem(itemName)
+      // Clear session and local storage
+      if (localExists()) {
+        window.sessionStorage.removeItem(itemName)
+      }
+      if (persistentExists()) {
+        window.localStorage.removeItem(itemName)
+      }
     } catch (error) {
       logger.warn({
         description: 'Error removing item from session storage', error,
@@ -0,0 +1,146 @@
+import { ValidationError } from '../errors'
+
+// Token types of operator characters (comma is AND so that older comma lists keep working)
+const operators = {
+  '|': 'or',
+  '&': 'and',
+  ',': 'and',
+  '!': 'not',
+  '(': 'open',
+  ')': 'close'
+}
+const quotes = ['"', "'"]
+
+/**
+ * @description Parse group expression such as "admins | (editors & !suspended)". Supports | (or), & and , (and), ! (not), and parentheses. Names can contain spaces and are quoted when they contain operators ("R&D" | 'Power Users').
+ * @param {String} expression - Group expression
+ * @return {Object} Parsed expression (type along with name or operands)
+ * @throws {ValidationError} INVALID_GROUP_EXPRESSION for bad syntax
+ * @example
+ * parse('admins | !suspended')
+ * // { type: 'or', operands: [{ type: 'group', name: 'admins' }, { type: 'not', operand: { type: 'group', name: 'suspended' } }] }
+ */
+export function parse (expression) {
+  const tokens = tokenize(expression)
+  let index = 0
+  const peek = () => tokens[index]
+  const next = () => tokens[index++]
+
+  const parseOr = () => {
+    const operands = [parseAnd()]
+    while (peek() && peek().type === 'or') {
+      next()
+      operands.push(parseAnd())
+    }
+    return operands.length > 1 ? { type: 'or', operands } : operands[0]
+  }
+  const parseAnd = () => {
+    const operands = [parseNot()]
+    while (peek() && peek().type === 'and') {
+      next()
+      operands.push(parseNot())
+    }
+    return operands.length > 1 ? { type: 'and', operands } : operands[0]
+  }
+  const parseNot = () => {
+    if (peek() && peek().type === 'not') {
+      next()
+      return { type: 'not', operand: parseNot() }
+    }
+    return parsePrimary()
+  }
+  const parsePrimary = () => {
+    const token = next()
+    if (!token) {
+      throw syntaxError('Unexpected end of group expression.', expression)
+    }
+    if (token.type === 'name') {
+      return { type: 'group', name: token.value }
+    }
+    if (token.type === 'open') {
+      const inner = parseOr()
+      const close = next()
+      if (!close || close.type !== 'close') {
+        throw syntaxError(`Missing ")" for "(" at position ${token.position} in group expression.`, expression)
+      }
+      return inner
+    }
+    throw syntaxError(`Unexpected "${token.value}" at position ${token.position} in group expression.`, expression)
+  }
+
+  const result = parseOr()
+  if (peek()) {
+    throw syntaxError(`Unexpected "${peek().value}" at position ${peek().position} in group expression.`, expression)
+  }
+  return result
+}
+
+/**
+ * @description Evaluate parsed group expression
+ * @param {Object} parsed - Parsed expression (from parse)
+ * @param {Function} hasGroup - Called with group name, returns whether user is in group
+ * @return {Boolean}
+ */
+export function evaluate (parsed, hasGroup) {
+  switch (parsed.type) {
+    case 'group':
+      return !!hasGroup(parsed.name)
+    case 'not':
+      return !evaluate(parsed.operand, hasGroup)
+    case 'and':
+      return parsed.operands.every(operand => evaluate(operand, hasGroup))
+    case 'or':
+      return parsed.operands.some(operand => evaluate(operand, hasGroup))
+    default:
+      return false
+  }
+}
+
+/**
+ * @description Split expression into operator and group name tokens
+ * @param {String} expression - Group expression
+ * @return {Array} Tokens containing type, value, and position
+ */
+function tokenize (expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw syntaxError('Group expression is empty.', expression)
+  }
+  const tokens = []
+  let position = 0
+  while (position < expression.length) {
+    const char = expression[position]
+    if (/\s/.test(char)) {
+      position++
+    } else if (operators[char]) {
+      tokens.push({ type: operators[char], value: char, position })
+      position++
+    } else if (quotes.indexOf(char) !== -1) {
+      const end = expression.indexOf(char, position + 1)
+      if (end === -1) {
+        throw syntaxError(`Missing closing ${char} for quote at position ${position} in group expression.`, expression)
+      }
+      tokens.push({ type: 'name', value: expression.slice(position + 1, end), position })
+      position = end + 1
+    } else {
+      // Words separated by spaces are one name (Power Users)
+      const start = position
+      while (position < expression.length && !operators[expression[position]] && quotes.indexOf(expression[position]) === -1) {
+        position++
+      }
+      tokens.push({ type: 'name', value: expression.slice(start, position).trim(), position: start })
+    }
+  }
+  return tokens
+}
+
+/**
+ * @description Error for bad syntax within group expression
+ * @param {String} message - Description of error
+ * @param {String} expression - Group expression
+ * @return {ValidationError}
+ */
+function syntaxError (message, expression) {
+  const error = new ValidationError(message, { code: 'INVALID_GROUP_EXPRESSION' })
+  error.expression = expression
+  return error
+}
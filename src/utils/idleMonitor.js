@@ -0,0 +1,110 @@
+import logger from './logger'
+import { isBrowser } from './dom'
+import { persistentExists } from './envStorage'
+import { isFunction } from 'lodash'
+
+const activityEvents = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart']
+
+/**
+ * @description Create monitor that calls onTimeout after a period of inactivity. Last activity time is kept in localStorage (when available) so that activity in any tab keeps all tabs active.
+ * @param {Object} settings - Monitor settings
+ * @param {Number} settings.timeout - Time of inactivity (in ms) after which onTimeout is called
+ * @param {Number} settings.warning - Time (in ms) before timeout at which onWarning is called
+ * @param {Function} settings.onWarning - Called with remaining time (in ms) before timeout
+ * @param {Function} settings.onTimeout - Called once timeout is reached
+ * @param {String} settings.storageKey - Name of localStorage item containing last activity time
+ * @param {Number} settings.interval - Time (in ms) between inactivity checks (defaults to 1000)
+ * @return {Object} Monitor with start, stop, and touch methods
+ */
+export function createIdleMonitor (settings) {
+  const interval = settings.interval || 1000
+  let lastActivity = Date.now()
+  let timer = null
+  let warned = false
+
+  const getLastActivity = () => {
+    const stored = persistentExists() ? Number(window.localStorage.getItem(settings.storageKey)) : 0
+    return Math.max(lastActivity, stored || 0)
+  }
+
+  const touch = () => {
+    const now = Date.now()
+    // Limit storage writes to one per check interval
+    if (now - lastActivity < interval && warned === false) return
+    lastActivity = now
+    warned = false
+    if (persistentExists()) {
+      try {
+        window.localStorage.setItem(settings.storageKey, String(now))
+      } catch (error) {
+        logger.warn({
+          description: 'Last activity could not be saved.', error,
+          func: 'touch', obj: 'idleMonitor'
+        })
+      }
+    }
+  }
+
+  const check = () => {
+    const idleTime = Date.now() - getLastActivity()
+    if (idleTime >= settings.timeout) {
+      logger.info({
+        description: 'Idle timeout reached.', idleTime,
+        func: 'check', obj: 'idleMonitor'
+      })
+      // Reset so timeout is not called again until after another full period of inactivity
+      lastActivity = Date.now()
+      warned = false
+      if (isFunction(settings.onTimeout)) settings.onTimeout()
+      return
+    }
+    if (!warned && settings.warning && idleTime >= settings.timeout - settings.warning) {
+      warned = true
+      if (isFunction(settings.onWarning)) settings.onWarning(settings.timeout - idleTime)
+    } else if (warned && idleTime < settings.timeout - settings.warning) {
+      // Activity in another tab
+      warned = false
+    }
+  }
+
+  return {
+    /** Start listening for activity and checking for inactivity
+     */
+    start () {
+      if (timer) return
+      lastActivity = Date.now()
+      warned = false
+      if (isBrowser()) {
+        activityEvents.forEach(eventName => {
+          window.document.addEventListener(eventName, touch, true)
+        })
+      }
+      timer = setInterval(check, interval)
+      logger.debug({
+        description: 'Idle monitor started.', timeout: settings.timeout,
+        func: 'start', obj: 'idleMonitor'
+      })
+    },
+
+    /** Stop listening for activity
+     */
+    stop () {
+      if (!timer) return
+      clearInterval(timer)
+      timer = null
+      if (isBrowser()) {
+        activityEvents.forEach(eventName => {
+          window.document.removeEventListener(eventName, touch, true)
+        })
+      }
+      logger.debug({
+        description: 'Idle monitor stopped.',
+        func: 'stop', obj: 'idleMonitor'
+      })
+    },
+
+    /** Record activity
+     */
+    touch
+  }
+}
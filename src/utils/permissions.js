@@ -0,0 +1,73 @@
+import { isString, isArray, isObject, forEach, uniq, some, compact } from 'lodash'
+
+/**
+ * @description Get permissions granted by token claims (permissions, scope, and groups mapped using groupPermissions)
+ * @param {Object} tokenData - Decoded token data
+ * @param {Object} groupPermissions - Lists of permissions by group name
+ * @param {Array} groups - Groups of user (groups within token data by default)
+ * @return {Array} List of permissions (such as projects:write)
+ * @example
+ * getPermissions({ scope: 'projects:read', groups: [{ name: 'admins' }] }, { admins: ['*'] })
+ * // ['projects:read', '*']
+ */
+export function getPermissions (tokenData, groupPermissions, groups) {
+  if (!tokenData) return []
+  const permissions = toList(tokenData.permissions)
+    .concat(toList(tokenData.scope))
+    .concat(toList(tokenData.scp))
+  forEach(groups || tokenData.groups, group => {
+    const groupName = isObject(group) ? group.name : group
+    if (groupPermissions && groupName && groupPermissions[groupName]) {
+      permissions.push(...toList(groupPermissions[groupName]))
+    }
+  })
+  return uniq(permissions)
+}
+
+/**
+ * @description Check if permission is granted by a list of permissions. Segments are separated by ":" and "*" matches any segment (a trailing "*" also matches any remaining segments).
+ * @param {Array} granted - List of granted permissions
+ * @param {String} permission - Permission to check
+ * @return {Boolean}
+ * @example
+ * hasPermission(['projects:*'], 'projects:write') // true
+ * hasPermission(['projects:read'], 'projects:write') // false
+ */
+export function hasPermission (granted, permission) {
+  if (!isString(permission) || permission === '') return false
+  return some(granted, grantedPermission => matchPermission(grantedPermission, permission))
+}
+
+/**
+ * @description Check if a single granted permission matches required permission
+ * @param {String} grantedPermission - Granted permission (can contain wildcards)
+ * @param {String} permission - Required permission
+ * @return {Boolean}
+ */
+function matchPermission (grantedPermission, permission) {
+  if (!isString(grantedPermission)) return false
+  const grantedSegments = grantedPermission.split(':')
+  const segments = permission.split(':')
+  for (let i = 0; i < grantedSegments.length; i++) {
+    const segment = grantedSegments[i]
+    const isLast = i === grantedSegments.length - 1
+    if (segment === '*' && isLast) {
+      return segments.length > i
+    }
+    if (i >= segments.length || (segment !== '*' && segment !== segments[i])) {
+      return false
+    }
+  }
+  return grantedSegments.length === segments.length
+}
+
+/**
+ * @description Convert claim to list (scope claims are space separated strings)
+ * @param {Array|String} claim - Claim from token
+ * @return {Array}
+ */
+function toList (claim) {
+  if (isArray(claim)) return compact(claim)
+  if (isString(claim)) return compact(claim.split(' '))
+  return []
+}
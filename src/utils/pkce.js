@@ -0,0 +1,78 @@
+import { isBrowser } from './dom'
+import { encode } from './base64url'
+import { ProviderError } from '../errors'
+
+// Characters allowed in code verifier (RFC 7636)
+const verifierChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~'
+const maxByte = Math.floor(256 / verifierChars.length) * verifierChars.length
+
+/**
+ * @description Get Web Crypto api of current environment
+ * @return {Object|null}
+ */
+export function getCrypto () {
+  if (isBrowser() && window.crypto && window.crypto.getRandomValues) {
+    return window.crypto
+  }
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto
+  }
+  return null
+}
+
+/**
+ * @description Generate random string containing only characters allowed in code verifier
+ * @param {Number} length - Length of string (43 to 128 for code verifier)
+ * @param {Object} cryptoApi - Web Crypto api (current environment's by default)
+ * @return {String}
+ */
+export function randomString (length = 64, cryptoApi = getCrypto()) {
+  if (!cryptoApi) {
+    throw new ProviderError('Web Crypto is required to generate random values.', { code: 'CRYPTO_NOT_SUPPORTED' })
+  }
+  let result = ''
+  while (result.length < length) {
+    const values = cryptoApi.getRandomValues(new Uint8Array(length - result.length))
+    for (let i = 0; i < values.length; i++) {
+      // Bytes above largest multiple of character count are skipped so that every character is equally likely
+      if (values[i] < maxByte) {
+        result += verifierChars[values[i] % verifierChars.length]
+      }
+    }
+  }
+  return result
+}
+
+/**
+ * @description Create code challenge from code verifier using S256 method
+ * @param {String} verifier - Code verifier
+ * @param {Object} cryptoApi - Web Crypto api (current environment's by default)
+ * @return {Promise} Resolves with code challenge
+ */
+export function createChallenge (verifier, cryptoApi = getCrypto()) {
+  if (!cryptoApi || !cryptoApi.subtle) {
+    return Promise.reject(new ProviderError('Web Crypto is required to create code challenge.', { code: 'CRYPTO_NOT_SUPPORTED' }))
+  }
+  const bytes = new Uint8Array(verifier.length)
+  for (let i = 0; i < verifier.length; i++) {
+    bytes[i] = verifier.charCodeAt(i)
+  }
+  return Promise.resolve(cryptoApi.subtle.digest('SHA-256', bytes)).then(encode)
+}
+
+/**
+ * @description Create code verifier and matching code challenge
+ * @param {Object} cryptoApi - Web Crypto api (current environment's by default)
+ * @return {Promise} Resolves with codeVerifier and codeChallenge
+ */
+export function createPkcePair (cryptoApi = getCrypto()) {
+  let codeVerifier
+  try {
+    codeVerifier = randomString(64, cryptoApi)
+  } catch (error) {
+    return Promise.reject(error)
+  }
+  return createChallenge(codeVerifier, cryptoApi).then(codeChallenge => {
+    return { codeVerifier, codeChallenge }
+  })
+}
@@ -0,0 +1,112 @@
+import * as request from './request'
+import logger from './logger'
+import { AuthError, ValidationError } from '../errors'
+
+/**
+ * @description Create client for managing projects on server. Requests are sent with token of Matter instance (same auth headers and errors as other requests).
+ * @param {Object} settings - Client settings
+ * @param {Function} settings.url - Returns url of projects endpoint (/users/:owner/projects)
+ * @param {Object} settings.token - Token of Matter instance
+ * @param {Function} settings.isLoggedIn - Returns whether a user is logged in (required to change projects)
+ * @return {Object} Client with list, get, create, update, remove, and transfer methods
+ */
+export function createProjects (settings) {
+  const projectUrl = name => `${settings.url()}/${encodeURIComponent(name)}`
+
+  // Changes to projects require a logged in user
+  const checkLoggedIn = func => {
+    if (settings.isLoggedIn()) return null
+    logger.error({
+      description: 'Must be logged in to change projects.',
+      func, obj: 'projects'
+    })
+    return new AuthError('Must be logged in to change projects.', { code: 'NULL_ACCOUNT' })
+  }
+
+  const checkName = (name, func) => {
+    if (name) return null
+    logger.error({
+      description: 'Project name is required.',
+      func, obj: 'projects'
+    })
+    return new ValidationError('Project name is required.', { code: 'NULL_NAME' })
+  }
+
+  const handleError = (description, func) => error => {
+    logger.error({
+      description, error,
+      func, obj: 'projects'
+    })
+    return Promise.reject(error)
+  }
+
+  return {
+    /** Get list of projects
+     * @return {Promise} Resolves with list of projects
+     */
+    list () {
+      return request.get(settings.url(), null, settings.token).then(response => {
+        return (response && response.projects) || response || []
+      })['catch'](handleError('Error listing projects.', 'list'))
+    },
+
+    /** Get project by name
+     * @param {String} name - Name of project
+     * @return {Promise} Resolves with project
+     */
+    get (name) {
+      const error = checkName(name, 'get')
+      if (error) return Promise.reject(error)
+      return request.get(projectUrl(name), null, settings.token)['catch'](handleError('Error getting project.', 'get'))
+    },
+
+    /** Create project
+     * @param {Object} projectData - Data of new project (name is required)
+     * @return {Promise} Resolves with created project
+     */
+    create (projectData) {
+      const error = checkLoggedIn('create') || checkName(projectData && projectData.name, 'create')
+      if (error) return Promise.reject(error)
+      return request.post(settings.url(), projectData, settings.token)['catch'](handleError('Error creating project.', 'create'))
+    },
+
+    /** Update project
+     * @param {String} name - Name of project
+     * @param {Object} projectData - Data to update
+     * @return {Promise} Resolves with updated project
+     */
+    update (name, projectData) {
+      const error = checkLoggedIn('update') || checkName(name, 'update')
+      if (error) return Promise.reject(error)
+      return request.put(projectUrl(name), projectData, settings.token)['catch'](handleError('Error updating project.', 'update'))
+    },
+
+    /** Remove project
+     * @param {String} name - Name of project
+     * @return {Promise} Resolves with response from server
+     */
+    remove (name) {
+      const error = checkLoggedIn('remove') || checkName(name, 'remove')
+      if (error) return Promise.reject(error)
+      return request.del(projectUrl(name), null, settings.token)['catch'](handleError('Error removing project.', 'remove'))
+    },
+
+    /** Transfer ownership of project to another user
+     * @param {String} name - Name of project
+     * @param {String} owner - Username of new owner
+     * @return {Promise} Resolves with transferred project
+     */
+    transfer (name, owner) {
+      const error = checkLoggedIn('transfer') || checkName(name, 'transfer')
+      if (error) return Promise.reject(error)
+      if (!owner) {
+        logger.error({
+          description: 'New owner is required to transfer project.',
+          func: 'transfer', obj: 'projects'
+        })
+        return Promise.reject(new ValidationError('New owner is required to transfer project.', { code: 'NULL_OWNER' }))
+      }
+      return request.put(`${projectUrl(name)}/owner`, { owner }, settings.token)['catch'](handleError('Error transferring project.', 'transfer'))
+    }
+  }
+}
@@ -1,164 +1,317 @@
 import { put, get } from './request'
 import logger from './logger'
+import { ProviderError, MatterError } from '../errors'
 import config from '../config'
-import { isBrowser, asyncLoadJs } from './dom'
-// import { OAuth, User } from 'oauthio-web' // window/document undefined error
+import token from './token'
+import * as envStorage from './envStorage'
+import { isBrowser, removeQueryParam } from './dom'
+import { createPkcePair } from './pkce'
+import { getProvider, buildAuthorizeUrl } from './providers'
+import { isArray, without, includes } from 'lodash'
 
-if (isBrowser()) {
-  loadOAuthio().then(() => {
-    initializeOAuth()
+// Query params added to redirect uri by providers
+const callbackParams = ['code', 'state', 'error', 'error_description', 'error_uri', 'scope', 'authuser', 'hd', 'prompt']
+const popupFeatures = 'width=500,height=600,menubar=no,toolbar=no,location=yes,status=no'
+const popupInterval = 250
+
+/**
+ * @description Signup using a token generated from the server (so server and client are both aware of auth state)
+ * @param {String} provider - Provider with which to authenticate (Google/Github Etc)
+ * @param {Object} settings - Config of Matter instance (shared config by default)
+ * @param {Object} authToken - Token of Matter instance (shared token by default)
+ */
+export function authWithServer (provider, settings = config, authToken = token) {
+  return authorizeProvider(provider, settings, authToken).then(authData => {
+    return exchangeCode(authData, settings, authToken)
   })
 }
 
 /**
- * @description Signup using a token generated from the server (so server and client are both aware of auth state)
+ * @description Exchange authorization code from provider for a token from the server
+ * @param {Object} authData - Authorization data
+ * @param {String} authData.provider - Provider that issued code (Google/Github Etc)
+ * @param {String} authData.code - Authorization code from provider
+ * @param {String} authData.stateToken - State token that was sent to provider
+ * @param {String} authData.codeVerifier - PKCE code verifier used to create code challenge
+ * @param {String} authData.redirectUri - Redirect uri that was sent to provider
+ * @param {Object} settings - Config of Matter instance (shared config by default)
+ * @param {Object} authToken - Token of Matter instance (shared token by default)
+ * @return {Promise} Resolves with token and user
  */
-export function authWithServer (provider) {
-  initializeOAuth()
-  return get(`${config.serverUrl}/stateToken`).then(params => {
-    return new Promise((resolve, reject) => {
-      window.OAuth.popup(provider, { state: params.token }).done(result => {
-        logger.info({
-          description: 'Result from oauth:', result: result, provider, params,
-          func: 'authWithServer', obj: 'providerAuth'
-        })
-        put(`${config.serverUrl}/auth`, { provider, code: result.code, stateToken: params.token }).then(loggedInData => {
-          logger.warn({
-            description: 'logged in info', result: loggedInData,
-            func: 'authWithServer', obj: 'providerAuth'
-          })
-          resolve(loggedInData)
-        }, error => {
-          reject(error)
-        })
-      }).fail(error => {
-        logger.error({
-          description: 'error with request', error,
-          func: 'authWithServer', obj: 'providerAuth'
-        })
-        return Promise.reject(error)
-      })
+export function exchangeCode (authData, settings = config, authToken = token) {
+  return put(`${settings.serverUrl}/auth`, authData, authToken).then(loggedInData => {
+    logger.info({
+      description: 'logged in info', result: loggedInData,
+      func: 'exchangeCode', obj: 'providerAuth'
     })
+    setReauthenticate(authData.provider, settings, false)
+    return loggedInData
   }, error => {
     logger.error({
       description: 'error with request', error,
-      func: 'authWithServer', obj: 'providerAuth'
+      func: 'exchangeCode', obj: 'providerAuth'
     })
     return Promise.reject(error)
   })
 }
 
 /**
- * @description Run initial setup of OAuth Library
+ * @description Get state token from server (sent to provider and checked by server when exchanging code)
+ * @param {Object} settings - Config of Matter instance (shared config by default)
+ * @param {Object} authToken - Token of Matter instance (shared token by default)
+ * @return {Promise} Resolves with state token
+ */
+export function getStateToken (settings = config, authToken = token) {
+  return get(`${settings.serverUrl}/stateToken`, null, authToken).then(params => params.token)
+}
+
+/**
+ * @description Check that provider is supported and has a client id
+ * @param {String} provider - Provider name (Google/Github Etc)
+ * @param {Object} settings - Config of Matter instance (shared config by default)
+ * @return {ProviderError|null} Error (null if provider can be used)
+ */
+export function checkProvider (provider, settings = config) {
+  const providerSettings = getProvider(provider, settings)
+  if (!providerSettings) {
+    return new ProviderError(`${provider} is not a supported provider.`, { code: 'PROVIDER_NOT_SUPPORTED' })
+  }
+  if (!providerSettings.clientId) {
+    return new ProviderError(`Client id is required to authenticate with ${providerSettings.name}.`, { code: 'CLIENT_ID_REQUIRED' })
+  }
+  return null
+}
+
+/**
+ * @description Create url of provider's authorization page along with the state token and PKCE code verifier needed to exchange the resulting code
+ * @param {String} provider - Provider with which to authenticate (Google/Github Etc)
+ * @param {Object} settings - Config of Matter instance (shared config by default)
+ * @param {Object} authToken - Token of Matter instance (shared token by default)
+ * @param {String} redirectUri - Url provider redirects back to (oauthRedirectUri option or current page by default)
+ * @return {Promise} Resolves with provider, url, stateToken, codeVerifier, and redirectUri
  */
-function initializeOAuth () {
-  if (isBrowser() && window.OAuth) {
-    console.log('initializing oauth')
-    window.OAuth.initialize(config.oauthioKey)
+export function createAuthRequest (provider, settings = config, authToken = token, redirectUri) {
+  const providerError = checkProvider(provider, settings)
+  if (providerError) {
+    logger.error({
+      description: providerError.message, provider,
+      func: 'createAuthRequest', obj: 'providerAuth'
+    })
+    return Promise.reject(providerError)
   }
+  const providerSettings = getProvider(provider, settings)
+  const uri = redirectUri || settings.oauthRedirectUri || currentPage()
+  return Promise.all([getStateToken(settings, authToken), createPkcePair()]).then(([stateToken, pkce]) => {
+    const url = buildAuthorizeUrl(providerSettings, {
+      redirectUri: uri,
+      state: stateToken,
+      codeChallenge: pkce.codeChallenge,
+      reauthenticate: shouldReauthenticate(provider, settings)
+    })
+    return { provider, url, stateToken, codeVerifier: pkce.codeVerifier, redirectUri: uri }
+  })['catch'](error => Promise.reject(toProviderError(error)))
 }
 
 /**
- * @description Load OAuthio-web Library into body as script element
+ * @description Get authorization code from provider using popup and a state token generated by the server. Bearer token is sent with state token request so the code can be used to link a provider to the current account.
+ * @param {String} provider - Provider with which to authenticate (Google/Github Etc)
+ * @param {Object} settings - Config of Matter instance (shared config by default)
+ * @param {Object} authToken - Token of Matter instance (shared token by default)
+ * @return {Promise} Resolves with provider, code, stateToken, codeVerifier, and redirectUri
  */
-function loadOAuthio () {
-  // console.log('loading oauthio into script tag:', config.oauthioCDN)
-  if (typeof window.OAuth !== 'undefined') {
-    return Promise.resolve()
+export function authorizeProvider (provider, settings = config, authToken = token) {
+  const providerError = checkProvider(provider, settings)
+  if (providerError) {
+    logger.error({
+      description: providerError.message, provider,
+      func: 'authorizeProvider', obj: 'providerAuth'
+    })
+    return Promise.reject(providerError)
   }
-  return asyncLoadJs(config.oauthioCDN).then(() => {
-    if (window.OAuth) {
-      window.OAuth.initialize(config.oauthioKey)
-    }
+  // Popup is opened right away (before requests) so that it is not blocked
+  const popup = window.open('', 'tessellate-oauth', popupFeatures)
+  if (!popup) {
+    return Promise.reject(new ProviderError('Popup was blocked by browser.', { code: 'POPUP_BLOCKED' }))
+  }
+  return createAuthRequest(provider, settings, authToken).then(authRequest => {
+    popup.location.href = authRequest.url
+    return waitForPopup(popup, authRequest.stateToken).then(code => {
+      logger.info({
+        description: 'Code received from provider.', provider,
+        func: 'authorizeProvider', obj: 'providerAuth'
+      })
+      const { stateToken, codeVerifier, redirectUri } = authRequest
+      return { provider, code, stateToken, codeVerifier, redirectUri }
+    })
+  })['catch'](error => {
+    logger.error({
+      description: 'error with popup', error,
+      func: 'authorizeProvider', obj: 'providerAuth'
+    })
+    if (!popup.closed) popup.close()
+    return Promise.reject(toProviderError(error))
   })
 }
 
 /**
- * @description Signup with external provider
- * @param {String} provider Provider with which to signup through (Google/Github Etc)
+ * @description Leave page to authenticate with provider (for browsers and webviews that block popups)
+ * @param {String} url - Url of provider's authorization page (from createAuthRequest)
  */
-// export async function signup(provider) {
-// 	try {
-// 		const res = await OAuth.popup(provider, {cache: true})
-// 		logger.debug({
-// 			description: 'Popup response.', res,
-// 			func: 'signup', obj: 'providerAuth'
-// 		})
-// 		const newUser = await User.signup(res)
-// 		return newUser
-// 	} catch(error) {
-// 		logger.error({
-// 			description: 'error in oauth request', error
-// 		})
-// 		return error
-// 	}
-// }
+export function redirectToProvider (url) {
+  logger.info({
+    description: 'Redirecting to provider.', url,
+    func: 'redirectToProvider', obj: 'providerAuth'
+  })
+  window.location.assign(url)
+}
 
 /**
- * @description Login to external provider
- * @param {String} provider Provider with which to log into (Google/Github Etc)
+ * @description Check current url for a result from provider redirect
+ * @return {Boolean}
  */
-// export async function login(provider) {
-// 	try {
-// 		const res = await OAuth.popup(provider, {cache: true})
-// 		const newUser = await User.signin(res)
-// 		console.log('user:', newUser)
-// 		return newUser
-// 	} catch(error) {
-// 		console.error('error in oauth request', error)
-// 		return error
-// 	}
-// }
+export function hasRedirectResult () {
+  return isBrowser() && !!parseCallback(window.location)
+}
 
 /**
- * @description Logout external provider service (Stormpath/oauthio)
+ * @description Get authorization code from url provider redirected back to (callback params are removed from url)
+ * @param {String} stateToken - State token that was sent to provider
+ * @return {Promise} Resolves with code
  */
-// export async function logout() {
-// 	if(!currentlyLoggedIn()) return
-// 	try {
-// 		const user = User.getIdentity()
-// 		return await user.logout()
-// 	} catch(error) {
-// 		console.error('error logging out', error)
-// 		return error
-// 	}
-// }
+export function getRedirectResult (stateToken) {
+  const result = isBrowser() ? parseCallback(window.location) : null
+  if (result) {
+    callbackParams.forEach(removeQueryParam)
+  }
+  return checkCallback(result, stateToken)
+}
 
 /**
- * @description Get currently connected user
+ * @description Ask user to sign in to provider again next time provider is used (called on logout so that provider's session does not silently log the same user back in)
+ * @param {String} provider - Provider to clear (Google/Github Etc)
+ * @param {Object} settings - Config of Matter instance (shared config by default)
  */
-// export function getCurrentUser() {
-// 	return User.getIdentity()
-// }
+export function clearProviderCache (provider, settings = config) {
+  logger.debug({
+    description: 'Clearing provider cache.', provider,
+    func: 'clearProviderCache', obj: 'providerAuth'
+  })
+  setReauthenticate(provider, settings, true)
+}
 
 /**
- * @description Local user data from external provider service (Stormpath/oauthio)
+ * @description Wait for popup to be redirected back with result from provider
+ * @param {Window} popup - Popup window
+ * @param {String} stateToken - State token that was sent to provider
+ * @return {Promise} Resolves with code
  */
-// export async function getUserData(provider) {
-// 	try {
-// 		const result = await OAuth.popup(provider, {cache: true})
-// 		return await result.me()
-// 	} catch(error) {
-// 		console.error('error in oauth request', error)
-// 	}
-// }
+function waitForPopup (popup, stateToken) {
+  return new Promise((resolve, reject) => {
+    const timer = setInterval(() => {
+      if (popup.closed) {
+        clearInterval(timer)
+        return reject(new ProviderError('Popup was closed before authenticating.', { code: 'POPUP_CLOSED' }))
+      }
+      let result
+      try {
+        result = parseCallback(popup.location)
+      } catch (error) {
+        // Popup is on provider's domain
+        return
+      }
+      if (!result) return
+      clearInterval(timer)
+      popup.close()
+      checkCallback(result, stateToken).then(resolve, reject)
+    }, popupInterval)
+  })
+}
 
 /**
- * @description Update user with external provider service (Stormpath/oauthio)
+ * @description Check result of provider callback
+ * @param {Object} result - Parsed callback params
+ * @param {String} stateToken - State token that was sent to provider
+ * @return {Promise} Resolves with code
  */
-// export async function updateUserData(newData) {
-// 	try {
-// 		user = User.getIdentity()
-// 		user.data = newData
-// 		return await user.save()
-// 	} catch(error) {
-// 		console.error('error updating user data', error)
-// 	}
-// }
+function checkCallback (result, stateToken) {
+  if (!result) {
+    return Promise.reject(new ProviderError('Result from provider not found.', { code: 'NULL_RESULT' }))
+  }
+  if (result.state !== stateToken) {
+    return Promise.reject(new ProviderError('State returned by provider does not match.', { code: 'STATE_MISMATCH' }))
+  }
+  if (result.error) {
+    return Promise.reject(new ProviderError(result.errorDescription || result.error, { code: 'PROVIDER_ERROR' }))
+  }
+  return Promise.resolve(result.code)
+}
 
 /**
- * @description Check to see if a user is currently logged in to external provider service (Stormpath/oauthio)
+ * @description Wrap errors that are not already Matter errors (crypto, browser) as ProviderError
+ * @param {Error} error - Error to wrap
+ * @return {MatterError}
  */
-// export function currentlyLoggedIn() {
-// 	return User.isLogged()
-// }
+function toProviderError (error) {
+  if (error instanceof MatterError) return error
+  const message = (error && error.message) || 'Error authenticating with provider.'
+  return new ProviderError(message, { code: 'PROVIDER_ERROR', cause: error })
+}
+
+/**
+ * @description Parse provider callback params from a location
+ * @param {Location} location - Location to parse
+ * @return {Object|null} Code, state, and error (null if location is not a provider callback)
+ */
+function parseCallback (location) {
+  const search = location.search || ''
+  const param = name => {
+    const results = new RegExp('[\\?&]' + name + '=([^&#]*)').exec(search)
+    return results === null ? null : decodeURIComponent(results[1].replace(/\+/g, ' '))
+  }
+  const code = param('code')
+  const error = param('error')
+  const state = param('state')
+  if ((!code && !error) || !state) {
+    return null
+  }
+  return { code, error, state, errorDescription: param('error_description') }
+}
+
+/**
+ * @description Get url of current page without query or hash (default redirect uri)
+ * @return {String}
+ */
+function currentPage () {
+  if (!isBrowser()) return null
+  return `${window.location.protocol}//${window.location.host}${window.location.pathname}`
+}
+
+/**
+ * @description Check if user should be asked to sign in to provider again
+ * @param {String} provider - Provider name
+ * @param {Object} settings - Config of Matter instance
+ * @return {Boolean}
+ */
+function shouldReauthenticate (provider, settings) {
+  const providers = envStorage.getItem(`${settings.authProviderName}-reauth`)
+  return isArray(providers) && includes(providers, provider)
+}
+
+/**
+ * @description Set whether user should be asked to sign in to provider again
+ * @param {String} provider - Provider name
+ * @param {Object} settings - Config of Matter instance
+ * @param {Boolean} reauthenticate - Whether to ask user to sign in again
+ */
+function setReauthenticate (provider, settings, reauthenticate) {
+  const name = `${settings.authProviderName}-reauth`
+  const current = envStorage.getItem(name)
+  const providers = without(isArray(current) ? current : [], provider)
+  if (reauthenticate) {
+    envStorage.setItem(name, providers.concat(provider), { persist: true })
+  } else if (providers.length) {
+    envStorage.setItem(name, providers)
+  } else {
+    envStorage.removeItem(name)
+  }
+}
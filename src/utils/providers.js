@@ -0,0 +1,63 @@
+import { merge, capitalize, map, omitBy, isNil } from 'lodash'
+
+// Built in OAuth 2.0 providers (clientId is set per project using the oauthProviders option)
+const registry = {
+  google: {
+    name: 'Google',
+    authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    scope: 'openid email profile',
+    reauthParams: { prompt: 'select_account' }
+  },
+  github: {
+    name: 'Github',
+    authorizeUrl: 'https://github.com/login/oauth/authorize',
+    scope: 'read:user user:email',
+    reauthParams: { prompt: 'select_account' }
+  },
+  facebook: {
+    name: 'Facebook',
+    authorizeUrl: 'https://www.facebook.com/v2.8/dialog/oauth',
+    scope: 'email public_profile',
+    reauthParams: { auth_type: 'reauthenticate' }
+  }
+}
+
+/**
+ * @description Get settings of a provider (built in settings merged with oauthProviders option)
+ * @param {String} provider - Provider name (Google/Github Etc)
+ * @param {Object} settings - Config containing oauthProviders
+ * @return {Object|null} Provider settings (null if provider is not supported)
+ */
+export function getProvider (provider, settings) {
+  const custom = settings && settings.oauthProviders && settings.oauthProviders[provider]
+  if (!registry[provider] && !custom) {
+    return null
+  }
+  return merge({ name: capitalize(provider) }, registry[provider], custom)
+}
+
+/**
+ * @description Build url of provider's authorization page
+ * @param {Object} providerSettings - Provider settings (from getProvider)
+ * @param {Object} params - Authorization params
+ * @param {String} params.redirectUri - Url provider redirects back to
+ * @param {String} params.state - State token from server
+ * @param {String} params.codeChallenge - PKCE code challenge
+ * @param {Boolean} params.reauthenticate - Ask user to choose account/sign in again
+ * @return {String}
+ */
+export function buildAuthorizeUrl (providerSettings, params) {
+  const query = merge({
+    response_type: 'code',
+    client_id: providerSettings.clientId,
+    redirect_uri: params.redirectUri,
+    scope: providerSettings.scope,
+    state: params.state,
+    code_challenge: params.codeChallenge,
+    code_challenge_method: 'S256'
+  }, providerSettings.params, params.reauthenticate ? providerSettings.reauthParams : null)
+  const queryString = map(omitBy(query, isNil), (value, key) => {
+    return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`
+  }).join('&')
+  return `${providerSettings.authorizeUrl}?${queryString}`
+}
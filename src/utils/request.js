@@ -1,36 +1,61 @@
 import logger from './logger'
 import token from './token'
 import superagent from 'superagent'
+import { MatterError, fromResponse } from '../errors'
 
-export function get (endpoint, queryData) {
-  let req = superagent.get(endpoint)
-  if (queryData) {
-    req.query(queryData)
-  }
-  req = addAuthHeader(req)
-  return handleResponse(req)
+export function get (endpoint, queryData, authToken = token) {
+  return afterRefresh(authToken, () => {
+    let req = superagent.get(endpoint)
+    if (queryData) {
+      req.query(queryData)
+    }
+    req = addAuthHeader(req, authToken)
+    return handleResponse(req)
+  })
+}
+
+export function post (endpoint, data, authToken = token) {
+  return afterRefresh(authToken, () => {
+    const imageData = (data && data.files) ? handleFiles(data) : null
+    let req = superagent.post(endpoint)
+    req = addAuthHeader(req, authToken)
+    req.send(imageData || data)
+    return handleResponse(req)
+  })
 }
 
-export function post (endpoint, data) {
-  const imageData = (data && data.files) ? handleFiles(data) : null
-  let req = superagent.post(endpoint)
-  req = addAuthHeader(req)
-  req.send(imageData || data)
-  return handleResponse(req)
+export function put (endpoint, data, authToken = token) {
+  return afterRefresh(authToken, () => {
+    const imageData = (data && data.files) ? handleFiles(data) : null
+    let req = superagent.put(endpoint)
+    req = addAuthHeader(req, authToken)
+    req.send(imageData || data)
+    return handleResponse(req)
+  })
 }
 
-export function put (endpoint, data) {
-  const imageData = (data && data.files) ? handleFiles(data) : null
-  let req = superagent.put(endpoint)
-  req = addAuthHeader(req)
-  req.send(imageData || data)
-  return handleResponse(req)
+export function del (endpoint, data, authToken = token) {
+  return afterRefresh(authToken, () => {
+    let req = superagent.del(endpoint)
+    req = addAuthHeader(req, authToken)
+    if (data) {
+      req.send(data)
+    }
+    return handleResponse(req)
+  })
 }
 
-export function del (endpoint, data) {
-  let req = superagent.del(endpoint, data)
-  req = addAuthHeader(req)
-  return handleResponse(req)
+/**
+ * @description Wait for token refresh in progress (if any) before sending request so that new token is used
+ * @param {Object} authToken - Token used to authorize request
+ * @param {Function} sendRequest - Function that builds and sends request
+ */
+function afterRefresh (authToken, sendRequest) {
+  const refreshing = authToken && authToken.refreshing
+  if (!refreshing) {
+    return sendRequest()
+  }
+  return refreshing.then(sendRequest, sendRequest)
 }
 
 function handleResponse (req) {
@@ -39,7 +64,7 @@ function handleResponse (req) {
       logger.warn({
         description: 'req.end is not a function', func: 'handleResponse'
       })
-      return reject({message: 'req.end is not a function'})
+      return reject(new MatterError('req.end is not a function', { code: 'INVALID_REQUEST' }))
     }
     req.end((errorRes, res) => {
       if (errorRes) {
@@ -49,20 +74,19 @@ function handleResponse (req) {
             func: 'handleResponse'
           })
         }
-        const { response } = errorRes
-        const error = (response && response.body) ? response.body : errorRes
+        const error = fromResponse(errorRes)
         logger.error({
           description: 'Error in request.', error,
           file: 'request', func: 'handleResponse'
         })
-        return reject(error || errorRes)
+        return reject(error)
       }
       if (res.error) {
         logger.error({
           description: 'Error in request.', error: res.error,
           file: 'request', func: 'handleResponse'
         })
-        return reject(res.error)
+        return reject(fromResponse(res.error))
       }
       // logger.debug({
       // 	message: 'Successful response recieved.', response: res.body,
@@ -75,10 +99,11 @@ function handleResponse (req) {
 /**
  * @description Add auth header to request
  * @param {Object} request - Request object on which to add auth header
+ * @param {Object} authToken - Token to include in auth header
  */
-function addAuthHeader (req) {
-  if (token.string) {
-    req = req.set('Authorization', 'Bearer ' + token.string)
+function addAuthHeader (req, authToken) {
+  if (authToken && authToken.string) {
+    req = req.set('Authorization', 'Bearer ' + authToken.string)
     // logger.debug({
     // 	message: 'Set auth header', token: token.string,
     // 	func: 'addAuthHeader', file: 'request'
@@ -0,0 +1,93 @@
+import logger from './logger'
+import Emitter from './emitter'
+import { isBrowser } from './dom'
+import { persistentExists } from './envStorage'
+
+/**
+ * @description Create channel for sending messages to other tabs/windows of the same origin. Uses BroadcastChannel when available and falls back to localStorage storage events.
+ * @param {String} name - Name of channel
+ * @return {Object|null} Channel with post, on, and close methods (null if not supported)
+ */
+export function createChannel (name) {
+  if (!isBrowser()) {
+    return null
+  }
+  if (typeof window.BroadcastChannel === 'function') {
+    return broadcastChannel(name)
+  }
+  if (persistentExists()) {
+    return storageChannel(name)
+  }
+  logger.warn({
+    description: 'Tab sync is not supported by browser.',
+    func: 'createChannel', obj: 'tabSync'
+  })
+  return null
+}
+
+/**
+ * @description Channel using BroadcastChannel
+ * @param {String} name - Name of channel
+ * @return {Object}
+ */
+function broadcastChannel (name) {
+  const events = new Emitter()
+  const channel = new window.BroadcastChannel(name)
+  channel.onmessage = event => {
+    events.emit('message', event.data)
+  }
+  return {
+    post (message) {
+      channel.postMessage(message)
+    },
+    on (listener) {
+      return events.on('message', listener)
+    },
+    close () {
+      events.off('message')
+      channel.close()
+    }
+  }
+}
+
+/**
+ * @description Channel using localStorage (storage events are only fired in other tabs)
+ * @param {String} name - Name of channel (used as storage key)
+ * @return {Object}
+ */
+function storageChannel (name) {
+  const events = new Emitter()
+  const handleStorage = event => {
+    if (event.key !== name || !event.newValue) return
+    try {
+      events.emit('message', JSON.parse(event.newValue).message)
+    } catch (error) {
+      logger.warn({
+        description: 'Tab sync message could not be parsed.', error,
+        func: 'handleStorage', obj: 'tabSync'
+      })
+    }
+  }
+  window.addEventListener('storage', handleStorage)
+  return {
+    post (message) {
+      try {
+        // Time is included so that repeated messages still change stored value
+        window.localStorage.setItem(name, JSON.stringify({ message, sentAt: Date.now() }))
+        window.localStorage.removeItem(name)
+      } catch (error) {
+        logger.warn({
+          description: 'Tab sync message could not be sent.', error,
+          func: 'post', obj: 'tabSync'
+        })
+      }
+    },
+    on (listener) {
+      return events.on('message', listener)
+    },
+    close () {
+      events.off('message')
+      window.removeEventListener('storage', handleStorage)
+    }
+  }
+}
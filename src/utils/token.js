@@ -1,97 +1,308 @@
 import config from '../config'
 import logger from './logger'
+import { AuthError } from '../errors'
 import * as cookiesUtil from './cookies'
 import * as envStorage from './envStorage'
+import Emitter from './emitter'
 import jwtDecode from 'jwt-decode'
-import { isString } from 'lodash'
-
-let token = {
-
-  /** Get string value of token
-   * @return {String}
-   * @example
-   * console.log('String value of current token', token.string)
-   */
-  get string () {
-    const cookie = cookiesUtil.getCookie(config.tokenName)
-    if (cookie === '') return null
-    return cookie
-  },
-
-  /**
-   * @description Get decoded data within token (unencrypted data only)
-   * @return {Object}
-   * @example
-   * console.log('Data of current token:', token.data)
-   */
-  get data () {
-    if (!this.string) return null
-    if (envStorage.getItem(config.tokenDataName)) {
-      return envStorage.getItem(config.tokenDataName)
-    } else {
-      return decodeToken(this.string)
-    }
-  },
-
-  /**
-   * @description Set token data
-   */
-  set data (tokenData) {
-    envStorage.setItem(config.tokenDataName, tokenData)
-    logger.debug({
-      description: 'Token data was set to session storage.', tokenData,
-      func: 'data', obj: 'token'
-    })
-  },
-
-  /**
-   * @description Set token value as a string
-   */
-  set string (tokenStr) {
-    // Handle object being passed
-    if (!isString(tokenStr)) {
-      // Token is included in object
+import { isString, isFunction, isNumber } from 'lodash'
+
+// Longer delays overflow to 1ms in browsers and Node (timers are re-armed until they are due)
+const maxTimerDelay = 2147483647
+
+/** Create token store which handles token writing/deleting/decoding
+ * @param {Object} settings - Config containing token names (shared config by default)
+ * @return {Object}
+ */
+export function createToken (settings = config) {
+  const events = new Emitter()
+  let refreshTimer = null
+  let expireTimer = null
+  let pendingRefresh = null
+
+  return {
+
+    /** Function used to request a new token string (set by Matter)
+     * @type {Function}
+     */
+    refresher: null,
+
+    /** Whether token remains after browser is closed (true, false, or number of days). Set by save.
+     * @type {Boolean|Number}
+     */
+    remember: undefined,
+
+    /** Get string value of token
+     * @return {String}
+     * @example
+     * console.log('String value of current token', token.string)
+     */
+    get string () {
+      const cookie = cookiesUtil.getCookie(settings.tokenName)
+      if (cookie === '') return null
+      return cookie
+    },
+
+    /**
+     * @description Get decoded data within token (unencrypted data only)
+     * @return {Object}
+     * @example
+     * console.log('Data of current token:', token.data)
+     */
+    get data () {
+      if (!this.string) return null
+      if (envStorage.getItem(settings.tokenDataName)) {
+        return envStorage.getItem(settings.tokenDataName)
+      } else {
+        return decodeToken(this.string)
+      }
+    },
+
+    /**
+     * @description Get time (in ms) at which token expires (null if token has no exp)
+     * @return {Number|null}
+     * @example
+     * console.log('Token expires at:', new Date(token.expiresAt))
+     */
+    get expiresAt () {
+      const tokenData = this.data
+      if (!tokenData || !tokenData.exp) return null
+      return tokenData.exp * 1000
+    },
+
+    /**
+     * @description Get whether or not token has expired
+     * @return {Boolean}
+     */
+    get isExpired () {
+      const expiresAt = this.expiresAt
+      return expiresAt !== null && expiresAt <= Date.now()
+    },
+
+    /**
+     * @description Get promise of refresh currently in progress (null if not refreshing)
+     * @return {Promise|null}
+     */
+    get refreshing () {
+      return pendingRefresh
+    },
+
+    /**
+     * @description Get whether token remains after browser is closed (true, false, or number of days)
+     * @return {Boolean|Number}
+     */
+    get persistence () {
+      if (typeof this.remember !== 'undefined') return this.remember
+      // Token saved before page load is remembered unless its data was saved to session storage
+      return envStorage.isPersisted(settings.tokenDataName) === false ? false : settings.remember
+    },
+
+    /**
+     * @description Set token data
+     */
+    set data (tokenData) {
+      envStorage.setItem(settings.tokenDataName, tokenData)
+      logger.debug({
+        description: 'Token data was set to session storage.', tokenData,
+        func: 'data', obj: 'token'
+      })
+    },
+
+    /**
+     * @description Set token value as a string
+     */
+    set string (tokenStr) {
+      // Handle object being passed
+      if (!isString(tokenStr)) {
+        // Token is included in object
+        logger.log({
+          description: 'Token data is not string.',
+          tokenStr, func: 'string', obj: 'token'
+        })
+        throw new Error('Token data should be a string')
+      }
+      const remember = this.persistence
+      // Session cookie is used when token is not remembered
+      const expDays = remember === false ? null : (isNumber(remember) ? remember : settings.rememberDays)
+      cookiesUtil.setCookie(settings.tokenName, tokenStr, expDays)
+      envStorage.setItem(settings.tokenDataName, decodeToken(tokenStr), { persist: remember !== false })
+      logger.debug({
+        description: 'Token was set to cookies.', expDays,
+        func: 'string', obj: 'token'
+      })
+      this.scheduleRefresh()
+      this.watchExpiration()
+    },
+
+    /** Listen for token events ('expire', 'remove', or 'refresh')
+     * @param {String} eventName - Name of event
+     * @param {Function} listener - Function called when event occurs
+     * @return {Function} Function that removes listener
+     */
+    on (eventName, listener) {
+      return events.on(eventName, listener)
+    },
+
+    /** Remove listener of token events
+     * @param {String} eventName - Name of event
+     * @param {Function} listener - Listener to remove
+     */
+    off (eventName, listener) {
+      events.off(eventName, listener)
+    },
+
+    /** Save token data
+     * @param {String} tokenStr - Token string
+     * @param {Boolean|Number} remember - Whether token remains after browser is closed (number of days or true for rememberDays setting)
+     */
+    save (tokenStr, remember) {
+      if (typeof remember !== 'undefined') {
+        this.remember = remember
+      }
+      this.string = tokenStr
+    },
+
+    /** Reload token data from cookie (used when token was changed by another tab)
+     */
+    reload () {
+      const tokenStr = this.string
+      if (!tokenStr) {
+        envStorage.removeItem(settings.tokenDataName)
+        return
+      }
+      this.data = decodeToken(tokenStr)
+      this.scheduleRefresh()
+      this.watchExpiration()
+    },
+
+    /** Schedule token refresh ahead of expiration (uses tokenRefreshLeeway setting)
+     */
+    scheduleRefresh () {
+      if (refreshTimer) {
+        clearTimeout(refreshTimer)
+        refreshTimer = null
+      }
+      const expiresAt = this.expiresAt
+      if (!isFunction(this.refresher) || !expiresAt || this.isExpired) return
+      const refreshAt = expiresAt - settings.tokenRefreshLeeway * 1000
+      const delay = Math.max(refreshAt - Date.now(), 0)
+      refreshTimer = setTimeout(() => {
+        refreshTimer = null
+        if (Date.now() < refreshAt) {
+          return this.scheduleRefresh()
+        }
+        this.refresh()['catch'](() => {})
+      }, Math.min(delay, maxTimerDelay))
+      logger.debug({
+        description: 'Token refresh scheduled.', delay,
+        func: 'scheduleRefresh', obj: 'token'
+      })
+    },
+
+    /** Remove token and emit 'expire' event once token expires (unless it has been refreshed)
+     */
+    watchExpiration () {
+      if (expireTimer) {
+        clearTimeout(expireTimer)
+        expireTimer = null
+      }
+      const expiresAt = this.expiresAt
+      if (!expiresAt) return
+      const expire = () => {
+        if (!this.isExpired) return
+        logger.warn({
+          description: 'Token expired.',
+          func: 'watchExpiration', obj: 'token'
+        })
+        events.emit('expire')
+        this.delete()
+      }
+      expireTimer = setTimeout(() => {
+        expireTimer = null
+        if (Date.now() < expiresAt) {
+          return this.watchExpiration()
+        }
+        // Wait for refresh in progress before expiring token
+        if (pendingRefresh) {
+          return pendingRefresh.then(expire, expire)
+        }
+        expire()
+      }, Math.min(Math.max(expiresAt - Date.now(), 0), maxTimerDelay))
+    },
+
+    /** Refresh token using refresher. Calls made while a refresh is in progress share it.
+     * @return {Promise}
+     * @example
+     * token.refresh().then(function(tokenStr){
+     *  console.log('Token refreshed:', tokenStr)
+     * })
+     */
+    refresh () {
+      if (pendingRefresh) return pendingRefresh
+      if (!isFunction(this.refresher)) {
+        logger.error({
+          description: 'Refresher is required to refresh token.',
+          func: 'refresh', obj: 'token'
+        })
+        return Promise.reject(new AuthError('Refresher is required to refresh token.', { code: 'NULL_REFRESHER' }))
+      }
+      pendingRefresh = Promise.resolve(this.refresher()).then(tokenStr => {
+        pendingRefresh = null
+        this.string = tokenStr
+        logger.info({
+          description: 'Token refreshed.',
+          func: 'refresh', obj: 'token'
+        })
+        events.emit('refresh', tokenStr)
+        return tokenStr
+      }, error => {
+        pendingRefresh = null
+        logger.error({
+          description: 'Error refreshing token.', error,
+          func: 'refresh', obj: 'token'
+        })
+        return Promise.reject(error)
+      })
+      return pendingRefresh
+    },
+
+    /** Delete token data
+     */
+    delete () {
+      if (refreshTimer) {
+        clearTimeout(refreshTimer)
+        refreshTimer = null
+      }
+      if (expireTimer) {
+        clearTimeout(expireTimer)
+        expireTimer = null
+      }
+      const existed = !!this.string
+      this.remember = undefined
+      // Remove string token
+      cookiesUtil.deleteCookie(settings.tokenName)
+      // Remove user data
+      envStorage.removeItem(settings.tokenDataName)
       logger.log({
-        description: 'Token data is not string.',
-        tokenStr, func: 'string', obj: 'token'
+        description: 'Token was removed.',
+        func: 'delete', obj: 'token'
       })
-      throw new Error('Token data should be a string')
+      if (existed) {
+        events.emit('remove')
+      }
     }
-    cookiesUtil.setCookie(config.tokenName, tokenStr, 7)
-    this.data = decodeToken(tokenStr)
-    logger.debug({
-      description: 'Token was set to cookies.',
-      func: 'string', obj: 'token'
-    })
-  },
-
-  /** Save token data
-   */
-  save (tokenStr) {
-    this.string = tokenStr
-  },
-
-  /** Delete token data
-   */
-  delete () {
-    // Remove string token
-    cookiesUtil.deleteCookie(config.tokenName)
-    // Remove user data
-    envStorage.removeItem(config.tokenDataName)
-    logger.log({
-      description: 'Token was removed.',
-      func: 'delete', obj: 'token'
-    })
   }
 }
 
+let token = createToken()
+
 export default token
 
 /** Safley decode a JWT string
- * @private
+ * @param {String} tokenStr - Token string
  * @return {Object}
  */
-function decodeToken (tokenStr) {
+export function decodeToken (tokenStr) {
   if (!tokenStr || tokenStr === '') return null
   try {
     return jwtDecode(tokenStr)
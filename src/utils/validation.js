@@ -0,0 +1,105 @@
+import { isString, isRegExp, isFunction, isNumber, forEach, isEmpty, uniq } from 'lodash'
+
+// Character classes that can be required by rules (and that count toward password strength)
+const characterClasses = {
+  lowercase: { pattern: /[a-z]/, code: 'NEEDS_LOWERCASE' },
+  uppercase: { pattern: /[A-Z]/, code: 'NEEDS_UPPERCASE' },
+  number: { pattern: /[0-9]/, code: 'NEEDS_NUMBER' },
+  symbol: { pattern: /[^a-zA-Z0-9]/, code: 'NEEDS_SYMBOL' }
+}
+
+/**
+ * @description Validate data using rules for each field
+ * @param {Object} data - Data to validate (signup data etc)
+ * @param {Object} rules - Rules by field name. Each rule can include required, pattern, minLength, maxLength, lowercase, uppercase, number, symbol, minStrength, and validate (function called with value and data that returns an error code or null).
+ * @return {Object} Result containing valid, errors (list of error codes by field), and passwordStrength (0 to 4)
+ * @example
+ * validate({ username: 'test', password: 'abc' }, { password: { minLength: 8 } })
+ * // { valid: false, errors: { password: ['TOO_SHORT'] }, passwordStrength: 0 }
+ */
+export function validate (data, rules) {
+  const values = data || {}
+  const errors = {}
+  forEach(rules, (rule, field) => {
+    const fieldErrors = validateField(values[field], rule, values)
+    if (fieldErrors.length) {
+      errors[field] = fieldErrors
+    }
+  })
+  return {
+    valid: isEmpty(errors),
+    errors,
+    passwordStrength: passwordStrength(values.password)
+  }
+}
+
+/**
+ * @description Validate single value using a rule
+ * @param {*} value - Value to validate
+ * @param {Object} rule - Rule for value (see validate)
+ * @param {Object} data - All data being validated (passed to custom validate function)
+ * @return {Array} Error codes (empty if value is valid)
+ */
+export function validateField (value, rule, data) {
+  if (!rule) return []
+  const isEmptyValue = value === undefined || value === null || value === ''
+  if (isEmptyValue) {
+    return rule.required ? ['REQUIRED'] : []
+  }
+  const errors = []
+  const text = isString(value) ? value : String(value)
+  if (rule.pattern && !toRegExp(rule.pattern).test(text)) {
+    errors.push('INVALID_FORMAT')
+  }
+  if (isNumber(rule.minLength) && text.length < rule.minLength) {
+    errors.push('TOO_SHORT')
+  }
+  if (isNumber(rule.maxLength) && text.length > rule.maxLength) {
+    errors.push('TOO_LONG')
+  }
+  forEach(characterClasses, (characterClass, name) => {
+    if (rule[name] && !characterClass.pattern.test(text)) {
+      errors.push(characterClass.code)
+    }
+  })
+  if (isNumber(rule.minStrength) && passwordStrength(text) < rule.minStrength) {
+    errors.push('TOO_WEAK')
+  }
+  if (isFunction(rule.validate)) {
+    const customError = rule.validate(value, data)
+    if (customError) {
+      errors.push(customError)
+    }
+  }
+  return uniq(errors)
+}
+
+/**
+ * @description Score strength of a password from 0 (very weak) to 4 (strong) based on length and variety of characters
+ * @param {String} password - Password to score
+ * @return {Number}
+ */
+export function passwordStrength (password) {
+  if (!isString(password) || password === '') return 0
+  // Repeated characters (aaaaaaaa) are weak regardless of length
+  if (uniq(password.split('')).length < 3) return 0
+  let classes = 0
+  forEach(characterClasses, characterClass => {
+    if (characterClass.pattern.test(password)) classes++
+  })
+  let score = 0
+  if (password.length >= 8) score++
+  if (password.length >= 12) score++
+  if (classes >= 2) score++
+  if (classes >= 3) score++
+  return Math.min(score, 4)
+}
+
+/**
+ * @description Convert pattern to RegExp (patterns from JSON config are strings)
+ * @param {RegExp|String} pattern - Pattern
+ * @return {RegExp}
+ */
+function toRegExp (pattern) {
+  return isRegExp(pattern) ? pattern : new RegExp(pattern)
+}
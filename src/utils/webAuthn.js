@@ -0,0 +1,152 @@
+import logger from './logger'
+import { AuthError } from '../errors'
+import { encode, decode } from './base64url'
+import { isBrowser } from './dom'
+import { isString, map, assign } from 'lodash'
+
+/**
+ * @description Get credentials api of current browser
+ * @return {Object|null}
+ */
+export function getCredentials () {
+  if (isBrowser() && window.navigator && window.navigator.credentials && window.PublicKeyCredential) {
+    return window.navigator.credentials
+  }
+  return null
+}
+
+/**
+ * @description Create passkey using options from server (challenge and ids are base64url encoded)
+ * @param {Object} options - Public key creation options from server
+ * @param {Object} credentials - Credentials api (current browser's by default)
+ * @return {Promise} Resolves with attestation encoded for server
+ */
+export function createCredential (options, credentials = getCredentials()) {
+  if (!credentials) {
+    return Promise.reject(notSupported('createCredential'))
+  }
+  const publicKey = decodeCreationOptions(options.publicKey || options)
+  return Promise.resolve(credentials.create({ publicKey })).then(null, credentialError).then(credential => {
+    logger.debug({
+      description: 'Passkey created.', id: credential.id,
+      func: 'createCredential', obj: 'webAuthn'
+    })
+    const { response } = credential
+    return encodeCredential(credential, {
+      clientDataJSON: encode(response.clientDataJSON),
+      attestationObject: encode(response.attestationObject),
+      transports: typeof response.getTransports === 'function' ? response.getTransports() : []
+    })
+  })
+}
+
+/**
+ * @description Sign challenge from server using existing passkey
+ * @param {Object} options - Public key request options from server
+ * @param {Object} credentials - Credentials api (current browser's by default)
+ * @return {Promise} Resolves with assertion encoded for server
+ */
+export function getCredential (options, credentials = getCredentials()) {
+  if (!credentials) {
+    return Promise.reject(notSupported('getCredential'))
+  }
+  const publicKey = decodeRequestOptions(options.publicKey || options)
+  return Promise.resolve(credentials.get({ publicKey })).then(null, credentialError).then(credential => {
+    logger.debug({
+      description: 'Passkey assertion created.', id: credential.id,
+      func: 'getCredential', obj: 'webAuthn'
+    })
+    const { response } = credential
+    return encodeCredential(credential, {
+      clientDataJSON: encode(response.clientDataJSON),
+      authenticatorData: encode(response.authenticatorData),
+      signature: encode(response.signature),
+      userHandle: response.userHandle ? encode(response.userHandle) : null
+    })
+  })
+}
+
+/**
+ * @description Decode binary fields of creation options
+ * @param {Object} options - Public key creation options
+ * @return {Object}
+ */
+function decodeCreationOptions (options) {
+  return assign({}, options, {
+    challenge: decodeValue(options.challenge),
+    user: assign({}, options.user, { id: decodeValue(options.user.id) }),
+    excludeCredentials: decodeDescriptors(options.excludeCredentials)
+  })
+}
+
+/**
+ * @description Decode binary fields of request options
+ * @param {Object} options - Public key request options
+ * @return {Object}
+ */
+function decodeRequestOptions (options) {
+  return assign({}, options, {
+    challenge: decodeValue(options.challenge),
+    allowCredentials: decodeDescriptors(options.allowCredentials)
+  })
+}
+
+/**
+ * @description Decode ids of credential descriptors
+ * @param {Array} descriptors - Credential descriptors
+ * @return {Array}
+ */
+function decodeDescriptors (descriptors) {
+  return map(descriptors, descriptor => assign({}, descriptor, { id: decodeValue(descriptor.id) }))
+}
+
+/**
+ * @description Decode base64url value (values that are already binary are left as is)
+ * @param {String|ArrayBuffer} value - Value to decode
+ * @return {ArrayBuffer}
+ */
+function decodeValue (value) {
+  return isString(value) ? decode(value) : value
+}
+
+/**
+ * @description Encode credential for server
+ * @param {Object} credential - Credential from credentials api
+ * @param {Object} response - Encoded response of credential
+ * @return {Object}
+ */
+function encodeCredential (credential, response) {
+  return {
+    id: credential.id,
+    rawId: encode(credential.rawId),
+    type: credential.type,
+    response
+  }
+}
+
+/**
+ * @description Wrap error from credentials api (user cancelled, timeout, etc)
+ * @param {Error} error - Error from credentials api
+ * @return {Promise} Rejects with AuthError
+ */
+function credentialError (error) {
+  logger.error({
+    description: 'Error from credentials api.', error,
+    func: 'credentialError', obj: 'webAuthn'
+  })
+  const message = (error && error.message) || 'Passkey could not be used.'
+  return Promise.reject(new AuthError(message, { code: 'PASSKEY_FAILED', cause: error }))
+}
+
+/**
+ * @description Error for browsers without passkey support
+ * @param {String} func - Name of function
+ * @return {AuthError}
+ */
+function notSupported (func) {
+  logger.error({
+    description: 'Passkeys are not supported by browser.',
+    func, obj: 'webAuthn'
+  })
+  return new AuthError('Passkeys are not supported by browser.', { code: 'PASSKEYS_NOT_SUPPORTED' })
+}
@@ -7,7 +7,7 @@ var Promise = require('es6-promise').Promise;
 global.Promise = Promise;
 // If window or document is needed
 var jsdom = require('jsdom');
-var doc = jsdom.jsdom("<html><body></body></html>");
+var doc = jsdom.jsdom("<html><body></body></html>", { url: "http://localhost/" });
 var win = doc.defaultView;
 global.document = doc;
 global.window = win;
@@ -0,0 +1,111 @@
+import { createAvailabilityChecker } from '../../src/utils/availability';
+import logger from '../../src/utils/logger';
+let mockLog; let mockWarn; let mockInfo; let mockError; let mockDebug;
+
+describe('availability Util', () => {
+  let clock; let lookup; let checker;
+  beforeEach(() => {
+    mockLog = sinon.stub(logger, 'log', () => {});
+    mockWarn = sinon.stub(logger, 'warn', () => {});
+    mockInfo = sinon.stub(logger, 'info', () => {});
+    mockDebug = sinon.stub(logger, 'debug', () => {});
+    mockError = sinon.stub(logger, 'error', () => {});
+    clock = sinon.useFakeTimers(Date.now());
+    lookup = sinon.spy(query => {
+      return Promise.resolve({
+        username: { available: query.username !== 'taken', suggestions: ['taken1'] },
+        email: true
+      });
+    });
+    checker = createAvailabilityChecker({ lookup, debounce: 300, cacheTime: 60000 });
+  });
+  afterEach(() => {
+    clock.restore();
+    logger.log.restore();
+    logger.warn.restore();
+    logger.info.restore();
+    logger.debug.restore();
+    logger.error.restore();
+  });
+  describe('check method', () => {
+    it('waits for typing to stop before looking up values', () => {
+      const first = checker.check({ username: 'tak' });
+      const second = checker.check({ username: 'taken' });
+      clock.tick(299);
+      expect(lookup.called).to.be.false;
+      clock.tick(1);
+      expect(lookup.calledOnce).to.be.true;
+      expect(lookup.firstCall.args[0]).to.eql({ username: 'taken' });
+      return Promise.all([first, second]).then(([firstResult, secondResult]) => {
+        expect(firstResult).to.eql(secondResult);
+        expect(secondResult.username).to.eql({ available: false, suggestions: ['taken1'] });
+      });
+    });
+    it('normalizes boolean results', () => {
+      const check = checker.check({ email: 'test@test.com' });
+      clock.tick(300);
+      return check.then(result => {
+        expect(result.email).to.eql({ available: true, suggestions: [] });
+      });
+    });
+    it('returns cached results without a lookup', () => {
+      const check = checker.check({ username: 'test' });
+      clock.tick(300);
+      return check.then(() => checker.check({ username: 'test' })).then(result => {
+        expect(lookup.calledOnce).to.be.true;
+        expect(result.username.available).to.be.true;
+      });
+    });
+    it('only looks up values that are not cached', () => {
+      const check = checker.check({ username: 'test' });
+      clock.tick(300);
+      return check.then(() => {
+        const next = checker.check({ username: 'test', email: 'test@test.com' });
+        clock.tick(300);
+        return next;
+      }).then(result => {
+        expect(lookup.secondCall.args[0]).to.eql({ email: 'test@test.com' });
+        expect(result).to.have.keys('username', 'email');
+      });
+    });
+    it('looks up values again after cache time', () => {
+      const check = checker.check({ username: 'test' });
+      clock.tick(300);
+      return check.then(() => {
+        clock.tick(60000);
+        const next = checker.check({ username: 'test' });
+        clock.tick(300);
+        return next;
+      }).then(() => {
+        expect(lookup.calledTwice).to.be.true;
+      });
+    });
+    it('rejects all pending checks if lookup fails', () => {
+      checker = createAvailabilityChecker({
+        lookup: () => Promise.reject(new Error('offline')),
+        debounce: 300, cacheTime: 60000
+      });
+      const check = checker.check({ username: 'test' });
+      clock.tick(300);
+      return check.then(() => {
+        throw new Error('check should have been rejected');
+      }, (error) => {
+        expect(error).to.have.property('message', 'offline');
+      });
+    });
+  });
+  describe('clear method', () => {
+    it('removes cached results', () => {
+      const check = checker.check({ username: 'test' });
+      clock.tick(300);
+      return check.then(() => {
+        checker.clear();
+        const next = checker.check({ username: 'test' });
+        clock.tick(300);
+        return next;
+      }).then(() => {
+        expect(lookup.calledTwice).to.be.true;
+      });
+    });
+  });
+});
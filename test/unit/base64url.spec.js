@@ -0,0 +1,22 @@
+import * as base64url from '../../src/utils/base64url';
+
+describe('Base64url Util', () => {
+  describe('encode', () => {
+    it('encodes without padding or unsafe characters', () => {
+      expect(base64url.encode(new Uint8Array([251, 255, 191]))).to.equal('-_-_');
+      expect(base64url.encode(new Uint8Array([1]))).to.equal('AQ');
+    });
+    it('encodes ArrayBuffer', () => {
+      expect(base64url.encode(new Uint8Array([104, 105]).buffer)).to.equal('aGk');
+    });
+  });
+  describe('decode', () => {
+    it('decodes to ArrayBuffer', () => {
+      const bytes = new Uint8Array(base64url.decode('-_-_'));
+      expect(Array.from(bytes)).to.eql([251, 255, 191]);
+    });
+    it('decodes values without padding', () => {
+      expect(Array.from(new Uint8Array(base64url.decode('aGk')))).to.eql([104, 105]);
+    });
+  });
+});
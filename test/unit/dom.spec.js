@@ -64,4 +64,36 @@ describe('Dom Util', () => {
       }
     });
   });
+  describe('getQueryParam', () => {
+    afterEach(() => {
+      window.history.replaceState(null, '', '/');
+    });
+    it('gets query param from url', () => {
+      window.history.replaceState(null, '', '/?some=value');
+      expect(dom.getQueryParam('some')).to.equal('value');
+    });
+    it('handles missing query param', () => {
+      expect(dom.getQueryParam('some')).to.equal('');
+    });
+  });
+  describe('removeQueryParam', () => {
+    afterEach(() => {
+      window.history.replaceState(null, '', '/');
+    });
+    it('exists', () => {
+      expect(dom).to.respondTo('removeQueryParam');
+    });
+    it('removes query param from url', () => {
+      window.history.replaceState(null, '', '/page?some=value&other=1#hash');
+      dom.removeQueryParam('some');
+      expect(window.location.search).to.equal('?other=1');
+      expect(window.location.pathname).to.equal('/page');
+      expect(window.location.hash).to.equal('#hash');
+    });
+    it('removes search when no params remain', () => {
+      window.history.replaceState(null, '', '/?some=value');
+      dom.removeQueryParam('some');
+      expect(window.location.search).to.equal('');
+    });
+  });
 });
@@ -0,0 +1,74 @@
+import Emitter from '../../src/utils/emitter';
+import logger from '../../src/utils/logger';
+let mockLog; let mockWarn; let mockInfo; let mockError; let mockDebug;
+
+describe('Emitter Util', () => {
+  let emitter;
+  beforeEach(() => {
+    mockLog = sinon.stub(logger, 'log', () => {});
+    mockWarn = sinon.stub(logger, 'warn', () => {});
+    mockInfo = sinon.stub(logger, 'info', () => {});
+    mockDebug = sinon.stub(logger, 'debug', () => {});
+    mockError = sinon.stub(logger, 'error', () => {});
+    emitter = new Emitter();
+  });
+  afterEach(() => {
+    logger.log.restore();
+    logger.warn.restore();
+    logger.info.restore();
+    logger.debug.restore();
+    logger.error.restore();
+  });
+  describe('on', () => {
+    it('exists', () => {
+      expect(emitter).to.respondTo('on');
+    });
+    it('calls listener with event data', () => {
+      const listener = sinon.spy();
+      emitter.on('test', listener);
+      emitter.emit('test', {some: 'data'});
+      expect(listener.calledWith({some: 'data'})).to.be.true;
+    });
+    it('returns function that removes listener', () => {
+      const listener = sinon.spy();
+      const unsubscribe = emitter.on('test', listener);
+      unsubscribe();
+      emitter.emit('test');
+      expect(listener.called).to.be.false;
+    });
+    it('throws for invalid listener', () => {
+      expect(() => emitter.on('test', 'asdf')).to.throw(Error);
+    });
+  });
+  describe('off', () => {
+    it('removes single listener', () => {
+      const listener = sinon.spy();
+      const otherListener = sinon.spy();
+      emitter.on('test', listener);
+      emitter.on('test', otherListener);
+      emitter.off('test', listener);
+      emitter.emit('test');
+      expect(listener.called).to.be.false;
+      expect(otherListener.calledOnce).to.be.true;
+    });
+    it('removes all listeners of event', () => {
+      const listener = sinon.spy();
+      emitter.on('test', listener);
+      emitter.off('test');
+      emitter.emit('test');
+      expect(listener.called).to.be.false;
+    });
+  });
+  describe('emit', () => {
+    it('handles event without listeners', () => {
+      emitter.emit('asdf');
+    });
+    it('calls other listeners when a listener throws', () => {
+      const listener = sinon.spy();
+      emitter.on('test', () => { throw new Error('Listener error'); });
+      emitter.on('test', listener);
+      emitter.emit('test');
+      expect(listener.calledOnce).to.be.true;
+    });
+  });
+});
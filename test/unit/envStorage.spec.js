@@ -1,5 +1,6 @@
 import * as storage from '../../src/utils/envStorage';
 import logger from '../../src/utils/logger';
+import { has } from 'lodash';
 let mockLog; let mockWarn; let mockInfo; let mockError; let mockDebug;
 
 // let mockGet = sinon.stub(superagent, 'get', (url) => {
@@ -109,4 +110,47 @@ describe('envStorage Util', () => {
       }
     });
   });
+  describe('persist option', () => {
+    const fakeStorage = () => {
+      let items = {};
+      return {
+        setItem: (key, value) => { items[key] = String(value); },
+        getItem: (key) => has(items, key) ? items[key] : null,
+        removeItem: (key) => { delete items[key]; },
+        clear: () => { items = {}; }
+      };
+    };
+    beforeEach(() => {
+      window.sessionStorage = fakeStorage();
+      window.localStorage = fakeStorage();
+    });
+    afterEach(() => {
+      storage.clear();
+      delete window.sessionStorage;
+      delete window.localStorage;
+    });
+    it('saves to session storage by default', () => {
+      storage.setItem('test', {message: 'test'});
+      expect(storage.isPersisted('test')).to.be.false;
+    });
+    it('saves to local storage when persisting', () => {
+      storage.setItem('test', {message: 'test'}, {persist: true});
+      expect(storage.isPersisted('test')).to.be.true;
+      expect(window.sessionStorage.getItem('test')).to.be.null;
+    });
+    it('keeps item where it is saved when persist is not provided', () => {
+      storage.setItem('test', {message: 'test'}, {persist: true});
+      storage.setItem('test', {message: 'updated'});
+      expect(storage.isPersisted('test')).to.be.true;
+    });
+    it('gets item from local storage', () => {
+      window.localStorage.setItem('persisted', JSON.stringify({message: 'test'}));
+      expect(storage.getItem('persisted')).to.have.property('message', 'test');
+    });
+    it('removes item from local storage', () => {
+      storage.setItem('test', {message: 'test'}, {persist: true});
+      storage.removeItem('test');
+      expect(storage.isPersisted('test')).to.be.null;
+    });
+  });
 });
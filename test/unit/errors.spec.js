@@ -0,0 +1,63 @@
+import { MatterError, ValidationError, AuthError, NetworkError, ServerError, ProviderError, fromResponse } from '../../src/errors';
+
+describe('Errors', () => {
+  describe('MatterError', () => {
+    it('is an Error with code, httpStatus, and cause', () => {
+      const cause = new Error('original');
+      const error = new MatterError('Something failed.', {code: 'SOMETHING_FAILED', httpStatus: 500, cause});
+      expect(error).to.be.an.instanceof(Error);
+      expect(error).to.have.property('message', 'Something failed.');
+      expect(error).to.have.property('code', 'SOMETHING_FAILED');
+      expect(error).to.have.property('httpStatus', 500);
+      expect(error).to.have.property('cause', cause);
+      expect(error.stack).to.be.a('string');
+    });
+    it('keeps status for compatibility', () => {
+      expect(new MatterError('Failed.', {code: 'NULL_ACCOUNT'})).to.have.property('status', 'NULL_ACCOUNT');
+    });
+    it('defaults code', () => {
+      const error = new MatterError('Failed.');
+      expect(error).to.have.property('code', 'MATTER_ERROR');
+      expect(error).to.have.property('httpStatus', null);
+    });
+  });
+  describe('subclasses', () => {
+    it('are instances of MatterError and Error', () => {
+      [ValidationError, AuthError, NetworkError, ServerError, ProviderError].forEach(ErrorClass => {
+        const error = new ErrorClass('Failed.', {code: 'FAILED'});
+        expect(error).to.be.an.instanceof(ErrorClass);
+        expect(error).to.be.an.instanceof(MatterError);
+        expect(error).to.be.an.instanceof(Error);
+        expect(error).to.have.property('name', ErrorClass.name);
+      });
+    });
+    it('include field errors in ValidationError', () => {
+      const error = new ValidationError('Invalid.', {code: 'VALIDATION_FAILED', errors: {email: ['REQUIRED']}});
+      expect(error.errors).to.eql({email: ['REQUIRED']});
+    });
+  });
+  describe('fromResponse', () => {
+    it('creates NetworkError when there is no response', () => {
+      const error = fromResponse(new Error('Request has been terminated'));
+      expect(error).to.be.an.instanceof(NetworkError);
+      expect(error).to.have.property('code', 'NETWORK_ERROR');
+    });
+    it('creates AuthError for unauthorized responses', () => {
+      const error = fromResponse({status: 401, message: 'Unauthorized', response: {body: {message: 'Invalid token.'}}});
+      expect(error).to.be.an.instanceof(AuthError);
+      expect(error).to.have.property('code', 'UNAUTHORIZED');
+      expect(error).to.have.property('httpStatus', 401);
+      expect(error).to.have.property('status', 401);
+      expect(error).to.have.property('message', 'Invalid token.');
+    });
+    it('creates ServerError containing response body', () => {
+      const body = {message: 'Username taken.'};
+      const error = fromResponse({status: 409, response: {body}});
+      expect(error).to.be.an.instanceof(ServerError);
+      expect(error).to.have.property('code', 'CONFLICT');
+      expect(error).to.have.property('body', body);
+      expect(fromResponse({status: 502})).to.have.property('code', 'SERVER_ERROR');
+      expect(fromResponse({status: 418})).to.have.property('code', 'REQUEST_FAILED');
+    });
+  });
+});
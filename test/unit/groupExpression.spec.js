@@ -0,0 +1,82 @@
+import * as groupExpression from '../../src/utils/groupExpression';
+
+describe('groupExpression Util', () => {
+  const userGroups = ['editors', 'users'];
+  const check = expression => groupExpression.evaluate(groupExpression.parse(expression), name => userGroups.indexOf(name) !== -1);
+  const parseError = expression => {
+    try {
+      groupExpression.parse(expression);
+    } catch (error) {
+      return error;
+    }
+    throw new Error(`${expression} should not have been parsed`);
+  };
+  describe('parse', () => {
+    it('parses single group', () => {
+      expect(groupExpression.parse(' admins ')).to.eql({type: 'group', name: 'admins'});
+    });
+    it('parses operators by precedence', () => {
+      expect(groupExpression.parse('admins | editors & !suspended')).to.eql({
+        type: 'or',
+        operands: [
+          {type: 'group', name: 'admins'},
+          {type: 'and', operands: [
+            {type: 'group', name: 'editors'},
+            {type: 'not', operand: {type: 'group', name: 'suspended'}}
+          ]}
+        ]
+      });
+    });
+    it('parses comma lists as and', () => {
+      expect(groupExpression.parse('group1, group2')).to.eql({
+        type: 'and',
+        operands: [{type: 'group', name: 'group1'}, {type: 'group', name: 'group2'}]
+      });
+    });
+    it('parses names containing spaces', () => {
+      expect(groupExpression.parse('Power Users | admins')).to.eql({
+        type: 'or',
+        operands: [{type: 'group', name: 'Power Users'}, {type: 'group', name: 'admins'}]
+      });
+    });
+    it('parses quoted names', () => {
+      expect(groupExpression.parse('"R&D" & \'Power | Users\'')).to.eql({
+        type: 'and',
+        operands: [{type: 'group', name: 'R&D'}, {type: 'group', name: 'Power | Users'}]
+      });
+    });
+    it('throws for unterminated quote', () => {
+      expect(parseError('admins | "R&D').message).to.equal('Missing closing " for quote at position 9 in group expression.');
+    });
+    it('throws for empty expression', () => {
+      expect(parseError('  ')).to.have.property('code', 'INVALID_GROUP_EXPRESSION');
+    });
+    it('throws with position of unexpected token', () => {
+      const error = parseError('admins | | editors');
+      expect(error).to.have.property('code', 'INVALID_GROUP_EXPRESSION');
+      expect(error.message).to.equal('Unexpected "|" at position 9 in group expression.');
+    });
+    it('throws for unbalanced parentheses', () => {
+      expect(parseError('(admins | editors').message).to.equal('Missing ")" for "(" at position 0 in group expression.');
+      expect(parseError('admins)').message).to.equal('Unexpected ")" at position 6 in group expression.');
+    });
+    it('throws for missing operand', () => {
+      expect(parseError('admins &').message).to.equal('Unexpected end of group expression.');
+    });
+  });
+  describe('evaluate', () => {
+    it('evaluates groups and operators', () => {
+      expect(check('editors')).to.be.true;
+      expect(check('admins')).to.be.false;
+      expect(check('admins | editors')).to.be.true;
+      expect(check('editors & users')).to.be.true;
+      expect(check('editors,admins')).to.be.false;
+      expect(check('!admins')).to.be.true;
+      expect(check('!!editors')).to.be.true;
+    });
+    it('evaluates parentheses', () => {
+      expect(check('admins | (editors & !suspended)')).to.be.true;
+      expect(check('(admins | editors) & suspended')).to.be.false;
+    });
+  });
+});
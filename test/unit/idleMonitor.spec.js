@@ -0,0 +1,68 @@
+import { createIdleMonitor } from '../../src/utils/idleMonitor';
+import logger from '../../src/utils/logger';
+let mockLog; let mockWarn; let mockInfo; let mockError; let mockDebug;
+
+describe('idleMonitor Util', () => {
+  let clock; let monitor; let onWarning; let onTimeout;
+  beforeEach(() => {
+    mockLog = sinon.stub(logger, 'log', () => {});
+    mockWarn = sinon.stub(logger, 'warn', () => {});
+    mockInfo = sinon.stub(logger, 'info', () => {});
+    mockDebug = sinon.stub(logger, 'debug', () => {});
+    mockError = sinon.stub(logger, 'error', () => {});
+    clock = sinon.useFakeTimers(Date.now());
+    onWarning = sinon.spy();
+    onTimeout = sinon.spy();
+    monitor = createIdleMonitor({
+      timeout: 10000, warning: 3000,
+      onWarning, onTimeout, storageKey: 'test-lastActivity'
+    });
+    monitor.start();
+  });
+  afterEach(() => {
+    monitor.stop();
+    clock.restore();
+    logger.log.restore();
+    logger.warn.restore();
+    logger.info.restore();
+    logger.debug.restore();
+    logger.error.restore();
+  });
+  it('calls onWarning before timeout', () => {
+    clock.tick(7000);
+    expect(onWarning.calledOnce).to.be.true;
+    expect(onWarning.firstCall.args[0]).to.equal(3000);
+    expect(onTimeout.called).to.be.false;
+  });
+  it('calls onTimeout after inactivity', () => {
+    clock.tick(10000);
+    expect(onTimeout.calledOnce).to.be.true;
+  });
+  it('resets timer on activity', () => {
+    clock.tick(8000);
+    const event = window.document.createEvent('Event');
+    event.initEvent('keydown', true, true);
+    window.document.dispatchEvent(event);
+    clock.tick(8000);
+    expect(onTimeout.called).to.be.false;
+  });
+  it('uses activity from other tabs', () => {
+    let items = {};
+    window.localStorage = {
+      getItem: (key) => items[key] || null,
+      setItem: (key, value) => { items[key] = value; },
+      removeItem: (key) => { delete items[key]; }
+    };
+    clock.tick(8000);
+    // Activity in other tab
+    items['test-lastActivity'] = String(Date.now());
+    clock.tick(8000);
+    delete window.localStorage;
+    expect(onTimeout.called).to.be.false;
+  });
+  it('stops checking once stopped', () => {
+    monitor.stop();
+    clock.tick(20000);
+    expect(onTimeout.called).to.be.false;
+  });
+});
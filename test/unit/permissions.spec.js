@@ -0,0 +1,52 @@
+import * as permissions from '../../src/utils/permissions';
+
+describe('Permissions Util', () => {
+  describe('getPermissions', () => {
+    it('returns empty list without token data', () => {
+      expect(permissions.getPermissions(null)).to.eql([]);
+    });
+    it('reads permissions and scope claims', () => {
+      const granted = permissions.getPermissions({
+        permissions: ['projects:read'],
+        scope: 'users:read projects:write',
+        scp: ['projects:read']
+      });
+      expect(granted).to.eql(['projects:read', 'users:read', 'projects:write']);
+    });
+    it('maps groups to permissions', () => {
+      const granted = permissions.getPermissions({
+        groups: [{name: 'admins'}, 'editors', {name: 'users'}]
+      }, {admins: ['*'], editors: 'projects:write projects:read'});
+      expect(granted).to.eql(['*', 'projects:write', 'projects:read']);
+    });
+    it('maps groups passed in place of token groups', () => {
+      const granted = permissions.getPermissions({groups: [{name: 'users'}]}, {admins: ['*']}, [{name: 'admins'}]);
+      expect(granted).to.eql(['*']);
+    });
+  });
+  describe('hasPermission', () => {
+    it('matches exact permissions', () => {
+      expect(permissions.hasPermission(['projects:write'], 'projects:write')).to.be.true;
+      expect(permissions.hasPermission(['projects:read'], 'projects:write')).to.be.false;
+      expect(permissions.hasPermission(['projects'], 'projects:write')).to.be.false;
+      expect(permissions.hasPermission(['projects:write'], 'projects')).to.be.false;
+    });
+    it('matches trailing wildcards', () => {
+      expect(permissions.hasPermission(['*'], 'projects:write')).to.be.true;
+      expect(permissions.hasPermission(['projects:*'], 'projects:write')).to.be.true;
+      expect(permissions.hasPermission(['projects:*'], 'projects:members:write')).to.be.true;
+      expect(permissions.hasPermission(['projects:*'], 'projects')).to.be.false;
+      expect(permissions.hasPermission(['projects:*'], 'users:write')).to.be.false;
+    });
+    it('matches wildcard segments', () => {
+      expect(permissions.hasPermission(['*:read'], 'users:read')).to.be.true;
+      expect(permissions.hasPermission(['*:read'], 'users:write')).to.be.false;
+      expect(permissions.hasPermission(['projects:*:read'], 'projects:members:read')).to.be.true;
+    });
+    it('handles invalid permissions', () => {
+      expect(permissions.hasPermission(['*'], '')).to.be.false;
+      expect(permissions.hasPermission([null], 'projects:write')).to.be.false;
+      expect(permissions.hasPermission(undefined, 'projects:write')).to.be.false;
+    });
+  });
+});
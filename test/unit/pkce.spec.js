@@ -0,0 +1,51 @@
+import * as pkce from '../../src/utils/pkce';
+import { webcrypto } from 'crypto';
+
+describe('PKCE Util', () => {
+  describe('randomString', () => {
+    it('creates string of requested length', () => {
+      const value = pkce.randomString(43, webcrypto);
+      expect(value).to.have.length(43);
+      expect(value).to.match(/^[A-Za-z0-9\-._~]+$/);
+    });
+    it('skips bytes that would bias characters', () => {
+      const draws = [[198, 0, 255], [65, 200], [1]];
+      const cryptoApi = {
+        getRandomValues: array => {
+          array.set(draws.shift().slice(0, array.length));
+          return array;
+        }
+      };
+      expect(pkce.randomString(3, cryptoApi)).to.equal('A~B');
+      expect(draws).to.have.length(0);
+    });
+    it('throws without crypto', () => {
+      expect(() => pkce.randomString(43, null)).to.throw('Web Crypto is required');
+    });
+  });
+  describe('createChallenge', () => {
+    it('creates S256 challenge', () => {
+      // Example from RFC 7636 Appendix B
+      return pkce.createChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk', webcrypto).then(challenge => {
+        expect(challenge).to.equal('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+      });
+    });
+    it('rejects without crypto', () => {
+      return pkce.createChallenge('verifier', null).then(() => {
+        throw new Error('createChallenge should have been rejected');
+      }, error => {
+        expect(error.message).to.contain('Web Crypto is required');
+      });
+    });
+  });
+  describe('createPkcePair', () => {
+    it('creates matching verifier and challenge', () => {
+      return pkce.createPkcePair(webcrypto).then(({ codeVerifier, codeChallenge }) => {
+        expect(codeVerifier).to.have.length(64);
+        return pkce.createChallenge(codeVerifier, webcrypto).then(challenge => {
+          expect(challenge).to.equal(codeChallenge);
+        });
+      });
+    });
+  });
+});
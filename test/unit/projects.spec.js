@@ -0,0 +1,118 @@
+import { createProjects } from '../../src/utils/projects';
+import * as request from '../../src/utils/request';
+import logger from '../../src/utils/logger';
+let projects; let loggedIn; let previousRequests;
+let mockLog; let mockWarn; let mockInfo; let mockError; let mockDebug;
+const url = 'http://localhost/users/test/projects';
+const authToken = {string: 'token'};
+
+describe('Projects Util', () => {
+  beforeEach(() => {
+    mockLog = sinon.stub(logger, 'log', () => {});
+    mockWarn = sinon.stub(logger, 'warn', () => {});
+    mockInfo = sinon.stub(logger, 'info', () => {});
+    mockDebug = sinon.stub(logger, 'debug', () => {});
+    mockError = sinon.stub(logger, 'error', () => {});
+    // Request may already be stubbed by other specs
+    previousRequests = {get: request.get, post: request.post, put: request.put, del: request.del};
+    request.get = sinon.spy(() => Promise.resolve({projects: [{name: 'exampleApp'}]}));
+    request.post = sinon.spy((endpoint, data) => Promise.resolve(data));
+    request.put = sinon.spy((endpoint, data) => Promise.resolve(data));
+    request.del = sinon.spy(() => Promise.resolve({}));
+    loggedIn = true;
+    projects = createProjects({url: () => url, token: authToken, isLoggedIn: () => loggedIn});
+  });
+  afterEach(() => {
+    request.get = previousRequests.get;
+    request.post = previousRequests.post;
+    request.put = previousRequests.put;
+    request.del = previousRequests.del;
+    logger.log.restore();
+    logger.warn.restore();
+    logger.info.restore();
+    logger.debug.restore();
+    logger.error.restore();
+  });
+  describe('list', () => {
+    it('gets projects', () => {
+      return projects.list().then(list => {
+        expect(request.get.lastCall.args).to.eql([url, null, authToken]);
+        expect(list).to.eql([{name: 'exampleApp'}]);
+      });
+    });
+    it('handles list response', () => {
+      request.get = sinon.spy(() => Promise.resolve([{name: 'exampleApp'}]));
+      return projects.list().then(list => {
+        expect(list).to.eql([{name: 'exampleApp'}]);
+      });
+    });
+    it('passes along request errors', () => {
+      request.get = sinon.spy(() => Promise.reject({status: 'NOT_FOUND'}));
+      return projects.list().then(() => {
+        throw new Error('list should have been rejected');
+      }, (error) => {
+        expect(error).to.have.property('status', 'NOT_FOUND');
+      });
+    });
+  });
+  describe('get', () => {
+    it('gets project by name', () => {
+      return projects.get('example app').then(() => {
+        expect(request.get.lastCall.args[0]).to.equal(`${url}/example%20app`);
+      });
+    });
+    it('rejects without name', () => {
+      return projects.get().then(() => {
+        throw new Error('get should have been rejected');
+      }, (error) => {
+        expect(error).to.have.property('status', 'NULL_NAME');
+      });
+    });
+  });
+  describe('create', () => {
+    it('creates project', () => {
+      return projects.create({name: 'exampleApp'}).then(project => {
+        expect(request.post.lastCall.args).to.eql([url, {name: 'exampleApp'}, authToken]);
+        expect(project).to.have.property('name', 'exampleApp');
+      });
+    });
+    it('rejects when not logged in', () => {
+      loggedIn = false;
+      return projects.create({name: 'exampleApp'}).then(() => {
+        throw new Error('create should have been rejected');
+      }, (error) => {
+        expect(error).to.have.property('status', 'NULL_ACCOUNT');
+        expect(request.post.called).to.be.false;
+      });
+    });
+  });
+  describe('update', () => {
+    it('updates project', () => {
+      return projects.update('exampleApp', {description: 'Example'}).then(() => {
+        expect(request.put.lastCall.args).to.eql([`${url}/exampleApp`, {description: 'Example'}, authToken]);
+      });
+    });
+  });
+  describe('remove', () => {
+    it('removes project', () => {
+      return projects.remove('exampleApp').then(() => {
+        expect(request.del.lastCall.args[0]).to.equal(`${url}/exampleApp`);
+      });
+    });
+  });
+  describe('transfer', () => {
+    it('transfers project to new owner', () => {
+      return projects.transfer('exampleApp', 'other').then(() => {
+        expect(request.put.lastCall.args).to.eql([`${url}/exampleApp/owner`, {owner: 'other'}, authToken]);
+      });
+    });
+    it('rejects without new owner', () => {
+      return projects.transfer('exampleApp').then(() => {
+        throw new Error('transfer should have been rejected');
+      }, (error) => {
+        expect(error).to.have.property('status', 'NULL_OWNER');
+        expect(request.put.called).to.be.false;
+      });
+    });
+  });
+});
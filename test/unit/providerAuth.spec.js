@@ -0,0 +1,132 @@
+import * as providerAuth from '../../src/utils/providerAuth';
+import * as request from '../../src/utils/request';
+import * as pkce from '../../src/utils/pkce';
+import * as envStorage from '../../src/utils/envStorage';
+import logger from '../../src/utils/logger';
+import { Config } from '../../src/config';
+let settings; let previousGet;
+let mockLog; let mockWarn; let mockInfo; let mockError; let mockDebug;
+describe('ProviderAuth Util', () => {
+  beforeEach(() => {
+    mockLog = sinon.stub(logger, 'log', () => {});
+    mockWarn = sinon.stub(logger, 'warn', () => {});
+    mockInfo = sinon.stub(logger, 'info', () => {});
+    mockDebug = sinon.stub(logger, 'debug', () => {});
+    mockError = sinon.stub(logger, 'error', () => {});
+    settings = new Config({oauthProviders: {google: {clientId: 'client'}}});
+    // Request may already be stubbed by other specs
+    previousGet = request.get;
+    request.get = sinon.spy(() => Promise.resolve({token: 'state'}));
+    sinon.stub(pkce, 'createPkcePair', () => Promise.resolve({codeVerifier: 'verifier', codeChallenge: 'challenge'}));
+  });
+  afterEach(() => {
+    logger.log.restore();
+    logger.warn.restore();
+    logger.info.restore();
+    logger.debug.restore();
+    logger.error.restore();
+    request.get = previousGet;
+    pkce.createPkcePair.restore();
+    envStorage.removeItem(`${settings.authProviderName}-reauth`);
+  });
+  describe('checkProvider', () => {
+    it('requires supported provider', () => {
+      expect(providerAuth.checkProvider('unknown', settings)).to.have.property('status', 'PROVIDER_NOT_SUPPORTED');
+    });
+    it('requires client id', () => {
+      const error = providerAuth.checkProvider('github', settings);
+      expect(error).to.have.property('status', 'CLIENT_ID_REQUIRED');
+      expect(error).to.have.property('message', 'Client id is required to authenticate with Github.');
+    });
+    it('returns null for configured provider', () => {
+      expect(providerAuth.checkProvider('google', settings)).to.equal(null);
+    });
+  });
+  describe('createAuthRequest', () => {
+    it('creates authorize url with state token and code challenge', () => {
+      return providerAuth.createAuthRequest('google', settings, null, 'http://localhost/callback').then(authRequest => {
+        expect(authRequest).to.have.property('stateToken', 'state');
+        expect(authRequest).to.have.property('codeVerifier', 'verifier');
+        expect(authRequest).to.have.property('redirectUri', 'http://localhost/callback');
+        expect(authRequest.url).to.contain('code_challenge=challenge');
+        expect(authRequest.url).to.contain('state=state');
+      });
+    });
+    it('defaults redirect uri to current page', () => {
+      return providerAuth.createAuthRequest('google', settings).then(authRequest => {
+        expect(authRequest).to.have.property('redirectUri', 'http://localhost/');
+      });
+    });
+    it('asks user to sign in again after provider cache is cleared', () => {
+      providerAuth.clearProviderCache('google', settings);
+      return providerAuth.createAuthRequest('google', settings).then(authRequest => {
+        expect(authRequest.url).to.contain('prompt=select_account');
+      });
+    });
+  });
+  describe('authorizeProvider', () => {
+    let popup;
+    beforeEach(() => {
+      popup = {
+        closed: false,
+        location: {href: '', search: '?code=abc&state=state'},
+        close () { this.closed = true; }
+      };
+      sinon.stub(window, 'open', () => popup);
+    });
+    afterEach(() => {
+      window.open.restore();
+    });
+    it('rejects without client id', () => {
+      return providerAuth.authorizeProvider('github', settings).then(() => {
+        throw new Error('authorizeProvider should have been rejected');
+      }, error => {
+        expect(error).to.have.property('status', 'CLIENT_ID_REQUIRED');
+      });
+    });
+    it('handles blocked popup', () => {
+      window.open.restore();
+      sinon.stub(window, 'open', () => null);
+      return providerAuth.authorizeProvider('google', settings).then(() => {
+        throw new Error('authorizeProvider should have been rejected');
+      }, error => {
+        expect(error).to.have.property('status', 'POPUP_BLOCKED');
+      });
+    });
+    it('resolves with code from popup', () => {
+      return providerAuth.authorizeProvider('google', settings).then(authData => {
+        expect(popup.location.href).to.contain('https://accounts.google.com/o/oauth2/v2/auth?');
+        expect(popup.closed).to.be.true;
+        expect(authData).to.eql({
+          provider: 'google', code: 'abc', stateToken: 'state', codeVerifier: 'verifier', redirectUri: 'http://localhost/'
+        });
+      });
+    });
+    it('rejects when state does not match', () => {
+      popup.location.search = '?code=abc&state=other';
+      return providerAuth.authorizeProvider('google', settings).then(() => {
+        throw new Error('authorizeProvider should have been rejected');
+      }, error => {
+        expect(error).to.have.property('status', 'STATE_MISMATCH');
+      });
+    });
+    it('rejects when popup is closed', () => {
+      popup.closed = true;
+      return providerAuth.authorizeProvider('google', settings).then(() => {
+        throw new Error('authorizeProvider should have been rejected');
+      }, error => {
+        expect(error).to.have.property('status', 'POPUP_CLOSED');
+      });
+    });
+  });
+  describe('getRedirectResult', () => {
+    it('rejects when page is not a provider callback', () => {
+      expect(providerAuth.hasRedirectResult()).to.be.false;
+      return providerAuth.getRedirectResult('state').then(() => {
+        throw new Error('getRedirectResult should have been rejected');
+      }, error => {
+        expect(error).to.have.property('status', 'NULL_RESULT');
+      });
+    });
+  });
+});
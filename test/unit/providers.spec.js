@@ -0,0 +1,38 @@
+import * as providers from '../../src/utils/providers';
+
+describe('Providers Util', () => {
+  describe('getProvider', () => {
+    it('returns null for unknown provider', () => {
+      expect(providers.getProvider('unknown', {})).to.equal(null);
+    });
+    it('merges oauthProviders settings over built in settings', () => {
+      const provider = providers.getProvider('google', {oauthProviders: {google: {clientId: '123', scope: 'email'}}});
+      expect(provider).to.have.property('clientId', '123');
+      expect(provider).to.have.property('scope', 'email');
+      expect(provider).to.have.property('authorizeUrl', 'https://accounts.google.com/o/oauth2/v2/auth');
+    });
+    it('supports custom providers', () => {
+      const provider = providers.getProvider('gitlab', {oauthProviders: {gitlab: {clientId: '123', authorizeUrl: 'https://gitlab.com/oauth/authorize'}}});
+      expect(provider).to.have.property('name', 'Gitlab');
+      expect(provider).to.have.property('authorizeUrl', 'https://gitlab.com/oauth/authorize');
+    });
+  });
+  describe('buildAuthorizeUrl', () => {
+    const provider = providers.getProvider('github', {oauthProviders: {github: {clientId: 'abc'}}});
+    it('includes code challenge and state', () => {
+      const url = providers.buildAuthorizeUrl(provider, {redirectUri: 'http://localhost/', state: 'state', codeChallenge: 'challenge'});
+      expect(url).to.contain('https://github.com/login/oauth/authorize?');
+      expect(url).to.contain('response_type=code');
+      expect(url).to.contain('client_id=abc');
+      expect(url).to.contain('redirect_uri=http%3A%2F%2Flocalhost%2F');
+      expect(url).to.contain('state=state');
+      expect(url).to.contain('code_challenge=challenge');
+      expect(url).to.contain('code_challenge_method=S256');
+      expect(url).to.not.contain('prompt');
+    });
+    it('includes reauth params when reauthenticating', () => {
+      const url = providers.buildAuthorizeUrl(provider, {redirectUri: 'http://localhost/', state: 'state', codeChallenge: 'challenge', reauthenticate: true});
+      expect(url).to.contain('prompt=select_account');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { createChannel } from '../../src/utils/tabSync';
+import logger from '../../src/utils/logger';
+let mockLog; let mockWarn; let mockInfo; let mockError; let mockDebug;
+
+// Delivers messages to other channels with the same name (like BroadcastChannel between tabs)
+let openChannels = [];
+class FakeBroadcastChannel {
+  constructor (name) {
+    this.name = name;
+    openChannels.push(this);
+  }
+  postMessage (data) {
+    openChannels.forEach(channel => {
+      if (channel !== this && channel.name === this.name && channel.onmessage) {
+        channel.onmessage({data});
+      }
+    });
+  }
+  close () {
+    openChannels = openChannels.filter(channel => channel !== this);
+  }
+}
+
+describe('tabSync Util', () => {
+  beforeEach(() => {
+    mockLog = sinon.stub(logger, 'log', () => {});
+    mockWarn = sinon.stub(logger, 'warn', () => {});
+    mockInfo = sinon.stub(logger, 'info', () => {});
+    mockDebug = sinon.stub(logger, 'debug', () => {});
+    mockError = sinon.stub(logger, 'error', () => {});
+  });
+  afterEach(() => {
+    logger.log.restore();
+    logger.warn.restore();
+    logger.info.restore();
+    logger.debug.restore();
+    logger.error.restore();
+  });
+  describe('createChannel', () => {
+    it('exists', () => {
+      expect(createChannel).to.be.a('function');
+    });
+    it('handles browser without BroadcastChannel or localStorage', () => {
+      expect(createChannel('test')).to.be.null;
+    });
+  });
+  describe('BroadcastChannel', () => {
+    beforeEach(() => {
+      window.BroadcastChannel = FakeBroadcastChannel;
+    });
+    afterEach(() => {
+      delete window.BroadcastChannel;
+      openChannels = [];
+    });
+    it('sends messages to other channels', () => {
+      const channel = createChannel('test');
+      const otherChannel = createChannel('test');
+      const listener = sinon.spy();
+      otherChannel.on(listener);
+      channel.post({type: 'logout'});
+      expect(listener.calledWith({type: 'logout'})).to.be.true;
+    });
+    it('stops receiving messages once closed', () => {
+      const channel = createChannel('test');
+      const otherChannel = createChannel('test');
+      const listener = sinon.spy();
+      otherChannel.on(listener);
+      otherChannel.close();
+      channel.post({type: 'logout'});
+      expect(listener.called).to.be.false;
+    });
+  });
+  describe('localStorage fallback', () => {
+    let items;
+    beforeEach(() => {
+      items = {};
+      window.localStorage = {
+        setItem (key, value) {
+          items[key] = value;
+          // Simulate storage event fired in another tab
+          const event = window.document.createEvent('Event');
+          event.initEvent('storage', false, false);
+          event.key = key;
+          event.newValue = value;
+          window.dispatchEvent(event);
+        },
+        removeItem (key) {
+          delete items[key];
+        }
+      };
+    });
+    afterEach(() => {
+      delete window.localStorage;
+    });
+    it('sends messages using storage events', () => {
+      const channel = createChannel('test');
+      const listener = sinon.spy();
+      channel.on(listener);
+      channel.post({type: 'login', user: {username: 'test'}});
+      channel.close();
+      expect(listener.calledWith({type: 'login', user: {username: 'test'}})).to.be.true;
+      expect(items).to.be.empty;
+    });
+  });
+});
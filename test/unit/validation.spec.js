@@ -0,0 +1,62 @@
+import * as validation from '../../src/utils/validation';
+
+describe('Validation Util', () => {
+  describe('validate', () => {
+    it('returns valid result when rules pass', () => {
+      const result = validation.validate({username: 'test'}, {username: {required: true}});
+      expect(result).to.have.property('valid', true);
+      expect(result.errors).to.eql({});
+    });
+    it('returns error codes by field', () => {
+      const result = validation.validate({email: 'test', password: 'abc'}, {
+        username: {required: true},
+        email: {pattern: /^[^\s@]+@[^\s@]+$/},
+        password: {minLength: 8, number: true}
+      });
+      expect(result).to.have.property('valid', false);
+      expect(result.errors).to.eql({
+        username: ['REQUIRED'],
+        email: ['INVALID_FORMAT'],
+        password: ['TOO_SHORT', 'NEEDS_NUMBER']
+      });
+    });
+    it('supports custom fields and validate functions', () => {
+      const rules = {
+        confirm: {validate: (value, data) => value !== data.password ? 'MISMATCH' : null},
+        age: {required: true}
+      };
+      const result = validation.validate({password: 'abc', confirm: 'abd'}, rules);
+      expect(result.errors).to.eql({confirm: ['MISMATCH'], age: ['REQUIRED']});
+    });
+    it('accepts string patterns', () => {
+      expect(validation.validate({code: 'abc'}, {code: {pattern: '^[0-9]+$'}}).errors).to.eql({code: ['INVALID_FORMAT']});
+    });
+    it('includes password strength', () => {
+      expect(validation.validate({password: 'Correct-Horse-9'}, {}).passwordStrength).to.equal(4);
+    });
+  });
+  describe('validateField', () => {
+    it('skips rules for empty optional values', () => {
+      expect(validation.validateField('', {minLength: 3})).to.eql([]);
+    });
+    it('checks character classes', () => {
+      const rule = {lowercase: true, uppercase: true, number: true, symbol: true};
+      expect(validation.validateField('abc', rule)).to.eql(['NEEDS_UPPERCASE', 'NEEDS_NUMBER', 'NEEDS_SYMBOL']);
+      expect(validation.validateField('aB3!', rule)).to.eql([]);
+    });
+    it('checks max length and strength', () => {
+      expect(validation.validateField('abcdef', {maxLength: 3, minStrength: 2})).to.eql(['TOO_LONG', 'TOO_WEAK']);
+    });
+  });
+  describe('passwordStrength', () => {
+    it('scores empty and repeated passwords as 0', () => {
+      expect(validation.passwordStrength('')).to.equal(0);
+      expect(validation.passwordStrength('aaaaaaaaaaaa')).to.equal(0);
+    });
+    it('scores longer passwords with more character classes higher', () => {
+      expect(validation.passwordStrength('abcdefgh')).to.equal(1);
+      expect(validation.passwordStrength('abcdefgh12')).to.equal(2);
+      expect(validation.passwordStrength('abcdefgh12AB')).to.equal(4);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import * as webAuthn from '../../src/utils/webAuthn';
+import * as base64url from '../../src/utils/base64url';
+import logger from '../../src/utils/logger';
+let mockLog; let mockWarn; let mockInfo; let mockError; let mockDebug;
+
+const bytes = (...values) => new Uint8Array(values).buffer;
+// Fake authenticator that records options it was called with
+const createAuthenticator = () => ({
+  create: sinon.spy(() => Promise.resolve({
+    id: 'credentialId',
+    rawId: bytes(1, 2, 3),
+    type: 'public-key',
+    response: {
+      clientDataJSON: bytes(4),
+      attestationObject: bytes(5),
+      getTransports: () => ['internal']
+    }
+  })),
+  get: sinon.spy(() => Promise.resolve({
+    id: 'credentialId',
+    rawId: bytes(1, 2, 3),
+    type: 'public-key',
+    response: {
+      clientDataJSON: bytes(4),
+      authenticatorData: bytes(6),
+      signature: bytes(7),
+      userHandle: null
+    }
+  }))
+});
+
+describe('WebAuthn Util', () => {
+  beforeEach(() => {
+    mockLog = sinon.stub(logger, 'log', () => {});
+    mockWarn = sinon.stub(logger, 'warn', () => {});
+    mockInfo = sinon.stub(logger, 'info', () => {});
+    mockDebug = sinon.stub(logger, 'debug', () => {});
+    mockError = sinon.stub(logger, 'error', () => {});
+  });
+  afterEach(() => {
+    logger.log.restore();
+    logger.warn.restore();
+    logger.info.restore();
+    logger.debug.restore();
+    logger.error.restore();
+  });
+  describe('getCredentials', () => {
+    it('returns null when passkeys are not supported', () => {
+      expect(webAuthn.getCredentials()).to.equal(null);
+    });
+  });
+  describe('createCredential', () => {
+    it('rejects when passkeys are not supported', () => {
+      return webAuthn.createCredential({}, null).then(() => {
+        throw new Error('createCredential should have been rejected');
+      }, error => {
+        expect(error).to.have.property('status', 'PASSKEYS_NOT_SUPPORTED');
+      });
+    });
+    it('decodes options and encodes attestation', () => {
+      const authenticator = createAuthenticator();
+      const options = {publicKey: {
+        challenge: base64url.encode(bytes(9, 9)),
+        rp: {name: 'Example'},
+        user: {id: base64url.encode(bytes(8)), name: 'testUser'},
+        excludeCredentials: [{id: base64url.encode(bytes(1, 2, 3)), type: 'public-key'}]
+      }};
+      return webAuthn.createCredential(options, authenticator).then(credential => {
+        const { publicKey } = authenticator.create.lastCall.args[0];
+        expect(Array.from(new Uint8Array(publicKey.challenge))).to.eql([9, 9]);
+        expect(Array.from(new Uint8Array(publicKey.user.id))).to.eql([8]);
+        expect(publicKey.user).to.have.property('name', 'testUser');
+        expect(Array.from(new Uint8Array(publicKey.excludeCredentials[0].id))).to.eql([1, 2, 3]);
+        expect(credential).to.eql({
+          id: 'credentialId',
+          rawId: base64url.encode(bytes(1, 2, 3)),
+          type: 'public-key',
+          response: {
+            clientDataJSON: base64url.encode(bytes(4)),
+            attestationObject: base64url.encode(bytes(5)),
+            transports: ['internal']
+          }
+        });
+      });
+    });
+  });
+  describe('getCredential', () => {
+    it('decodes options and encodes assertion', () => {
+      const authenticator = createAuthenticator();
+      const options = {
+        challenge: base64url.encode(bytes(9)),
+        allowCredentials: [{id: base64url.encode(bytes(1, 2, 3)), type: 'public-key'}]
+      };
+      return webAuthn.getCredential(options, authenticator).then(credential => {
+        const { publicKey } = authenticator.get.lastCall.args[0];
+        expect(Array.from(new Uint8Array(publicKey.challenge))).to.eql([9]);
+        expect(Array.from(new Uint8Array(publicKey.allowCredentials[0].id))).to.eql([1, 2, 3]);
+        expect(credential.response).to.eql({
+          clientDataJSON: base64url.encode(bytes(4)),
+          authenticatorData: base64url.encode(bytes(6)),
+          signature: base64url.encode(bytes(7)),
+          userHandle: null
+        });
+      });
+    });
+  });
+});
@@ -8,10 +8,6 @@ module.exports = {
   module: {
     loaders: [
       { test: /\.js$/, loaders: ['babel-loader'], exclude: /node_modules/ },
-    //   {
-    //      test: /[\/\\]node_modules[\/\\]oauthio-web[\/\\]dist[\/\\]oauth.min\.js$/,
-    //      loader: "legacy"
-    //  }
     ]
   },
   plugins: [